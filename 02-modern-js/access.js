@@ -0,0 +1,238 @@
+/**
+ * Role-based access control for the Library Management System
+ *
+ * `library.as(user)` returns a view of a LibraryManager that checks every call against the user's
+ * role before running it; denied calls throw AuthorizationError. Calls made on the library itself
+ * are trusted (the system acting). Users look like { id, role, patronId } where role is 'patron',
+ * 'librarian' or 'admin'; a patron account's patronId defaults to its id.
+ *
+ *   const desk = library.as({ id: 'L-7', role: 'librarian' });
+ *   desk.updateBook(4, { genre: 'Architecture' }); // audited with actor 'L-7'
+ *   library.as({ id: 'P-1001', role: 'patron' }).checkOut(4, 'P-1002'); // AuthorizationError
+ */
+
+import { LibraryError, AuthorizationError } from './errors.js';
+import { mapAsync } from './lazy.js';
+import { fieldsOf } from './query.js';
+
+// ----------------------
+// Map of role -> permissions. ':self' permissions only reach the user's own patron record,
+// ':any' ones reach everybody's.
+const LIBRARIAN = [
+    'catalog:read', 'catalog:write', 'catalog:export', 'inventory:manage',
+    'circulation:any', 'loans:any', 'patrons:read', 'audit:read', 'events:subscribe'
+];
+export const roles = new Map([
+    ["patron", new Set(['catalog:read', 'circulation:self', 'loans:self'])],
+    ["librarian", new Set(LIBRARIAN)],
+    ["admin", new Set([...LIBRARIAN, 'audit:delete'])]
+]);
+
+// ----------------------
+// Where an operation names the patron it acts for: a positional argument, or a key of an options argument
+const patronArg = index => ({
+    get: args => args[index],
+    set: (args, patronId) => Object.assign([...args], { [index]: patronId })
+});
+const patronOption = index => ({
+    get: args => args[index]?.patronId,
+    set: (args, patronId) => Object.assign([...args], { [index]: { ...args[index], patronId } })
+});
+
+// ----------------------
+// Query fields that expose loans; filtering or sorting on them needs 'loans:any'
+const LOAN_FIELDS = ['patronId', 'dueDate', 'location'];
+
+// ----------------------
+// Options only staff may pass: a loan period, or the exact copy and branch to lend from
+const staffOptions = (index, keys) => ({ index, keys });
+
+// ----------------------
+// Map of LibraryManager member -> { permission, patron?, inject?, actor?, staff?, query?, returns? }
+//   permission - needed to call it; 'circulation' and 'loans' are satisfied by ':any', or by ':self' for the user's own patron id
+//   patron     - where the call names a patron; a ':self' user acting without naming one acts as themselves (unless inject is false)
+//   actor      - index of the options argument whose `actor` is set to the user's id
+//   staff      - options argument keys a ':self' user may not set
+//   query      - index of a query argument, which may not touch LOAN_FIELDS without 'loans:any'
+//   returns    - shape of the result, so patron identities can be hidden from users without 'loans:any'
+//                (a 'registry' is always replaced by a read-only view)
+// Members missing from the map are denied.
+export const operationRules = new Map([
+    ["books", { permission: 'catalog:read', returns: 'books' }],
+    ["getBook", { permission: 'catalog:read', returns: 'book' }],
+    ["findCopy", { permission: 'catalog:read', returns: 'copy' }],
+    ["searchBooks", { permission: 'catalog:read', returns: 'books' }],
+    ["search", { permission: 'catalog:read', returns: 'ranked' }],
+    ["query", { permission: 'catalog:read', query: 0, returns: 'page' }],
+    ["scan", { permission: 'catalog:read', query: 0, returns: 'stream' }],
+    ["getStatistics", { permission: 'catalog:read' }],
+    ["locale", { permission: 'catalog:read' }],
+    ["memoize", { permission: 'catalog:read' }],
+    ["recommend", { permission: 'loans', patron: patronOption(0), inject: false, returns: 'ranked' }],
+    ["addBooks", { permission: 'catalog:write' }],
+    ["importBooks", { permission: 'catalog:write', actor: 1 }],
+    ["updateBook", { permission: 'catalog:write', actor: 2 }],
+    ["undo", { permission: 'catalog:write', actor: 1 }],
+    ["toSnapshot", { permission: 'catalog:export' }],
+    ["addCopy", { permission: 'inventory:manage' }],
+    ["withdrawCopy", { permission: 'inventory:manage' }],
+    ["transferCopy", { permission: 'inventory:manage' }],
+    ["receiveTransfer", { permission: 'inventory:manage' }],
+    ["checkOut", { permission: 'circulation', patron: patronArg(1), staff: staffOptions(2, ['days', 'barcode', 'branch']), returns: 'book' }],
+    ["returnBook", { permission: 'circulation', patron: patronOption(1), returns: 'book' }],
+    ["renew", { permission: 'circulation', patron: patronOption(1), staff: staffOptions(1, ['days', 'barcode']), returns: 'book' }],
+    ["placeHold", { permission: 'circulation', patron: patronArg(1) }], // Returns the queue position
+    ["cancelHold", { permission: 'circulation', patron: patronArg(1) }], // Returns whether a hold was removed
+    ["getHolds", { permission: 'catalog:read', returns: 'holds' }],
+    ["getOverdue", { permission: 'catalog:read', returns: 'loans' }],
+    ["getPatronStatement", { permission: 'loans', patron: patronArg(0) }],
+    ["patrons", { permission: 'patrons:read', returns: 'registry' }],
+    ["history", { permission: 'audit:read' }],
+    ["purgeHistory", { permission: 'audit:delete', actor: 0 }],
+    ["on", { permission: 'events:subscribe' }],
+    ["once", { permission: 'events:subscribe' }],
+    ["changes", { permission: 'events:subscribe' }]
+]);
+
+// ----------------------
+// Check and complete a user record; a patron account acts for its own patron id
+function normalizeUser(user) {
+    const { id, role, patronId = role === 'patron' ? id : undefined } = user ?? {};
+    if (id === undefined) throw new LibraryError('A user needs an id', { code: 'INVALID_USER' });
+    if (!roles.has(role)) {
+        throw new LibraryError(`Unknown role "${role}"; use ${[...roles.keys()].join(', ')}`, { code: 'UNKNOWN_ROLE', userId: id });
+    }
+    return Object.freeze({ id, role, patronId });
+}
+
+// ----------------------
+// Whether a user's role grants a permission
+export function can(user, permission) {
+    return roles.get(user?.role)?.has(permission) ?? false;
+}
+
+// ----------------------
+// Copy of an availability or copy record without other patrons' loan and hold details
+function redactRecord(record, patronId) {
+    const visible = structuredClone(record);
+    if (visible.patronId !== undefined && visible.patronId !== patronId) delete visible.patronId;
+    if (visible.heldFor !== undefined && visible.heldFor !== patronId) {
+        delete visible.heldFor;
+        delete visible.heldSince;
+    }
+    return visible;
+}
+
+// ----------------------
+// Copy of a book with the patron ids of other people's loans and holds removed
+export function redactBook(book, patronId) {
+    return {
+        ...structuredClone(book),
+        ...(book.availability && { availability: redactRecord(book.availability, patronId) }),
+        ...(book.copies && { copies: book.copies.map(copy => redactRecord(copy, patronId)) })
+    };
+}
+
+/**
+ * Throw unless a user may perform an operation with these arguments
+ * @param {Object} user - { id, role, patronId }
+ * @param {string} operation - LibraryManager member name
+ * @param {Array} [args] - Call arguments
+ * @returns {Array} The arguments to call with: a ':self' user's patron id and an audited actor filled in
+ */
+export function authorize(user, operation, args = []) {
+    const rule = operationRules.get(operation);
+    const deny = reason => new AuthorizationError(`${user.role} ${user.id} may not ${operation}${reason ? `: ${reason}` : ''}`, { userId: user.id, role: user.role, operation });
+    if (!rule) throw deny('not an operation this view allows');
+
+    let allowed = args;
+    const { permission, patron, inject = true, actor, staff, query } = rule;
+    if (permission === 'circulation' || permission === 'loans') {
+        if (!can(user, `${permission}:any`)) {
+            if (!can(user, `${permission}:self`)) throw deny();
+            const target = patron?.get(args);
+            if (target === undefined && inject) allowed = patron.set(args, user.patronId);
+            else if (target !== undefined && target !== user.patronId) throw deny(`${target} is another patron`);
+            const option = staff?.keys.find(key => args[staff.index]?.[key] !== undefined);
+            if (option) throw deny(`${option} requires ${permission}:any`);
+        }
+    } else if (!can(user, permission)) {
+        throw deny(`requires ${permission}`);
+    }
+    if (query !== undefined && !can(user, 'loans:any')) {
+        const field = LOAN_FIELDS.find(name => fieldsOf(args[query]).has(name));
+        if (field) throw deny(`${field} requires loans:any`);
+    }
+
+    if (actor !== undefined) {
+        allowed = Object.assign([...allowed], { [actor]: { ...allowed[actor], actor: user.id } });
+    }
+    return allowed;
+}
+
+// ----------------------
+// Read-only view of a PatronRegistry: lookups return copies, and nothing that changes members or loans is reachable
+function readOnlyRegistry(registry) {
+    const copy = value => value === undefined ? undefined : structuredClone(value);
+    return Object.freeze({
+        getPatron: patronId => copy(registry.getPatron(patronId)),
+        get patrons() { return copy(registry.patrons); },
+        activeLoans: patronId => copy(registry.activeLoans(patronId)),
+        getLoanHistory: (patronId, range) => registry.getLoanHistory(patronId, range),
+        canBorrow: patronId => registry.canBorrow(patronId),
+        get loans() { return registry.loans; }
+    });
+}
+
+// ----------------------
+// Hide other patrons in a result, following the operation's `returns` shape
+function redactResult(value, shape, user) {
+    if (value === undefined || value === null) return value;
+    if (shape === 'registry') return readOnlyRegistry(value);
+    if (can(user, 'loans:any')) return value;
+    const hide = book => redactBook(book, user.patronId);
+    switch (shape) {
+        case 'book': return hide(value);
+        case 'books': return value.map(hide);
+        case 'copy': return { book: hide(value.book), copy: redactRecord(value.copy, user.patronId) };
+        case 'ranked': return value.map(result => ({ ...result, book: hide(result.book) }));
+        case 'page': return { ...value, items: value.items.map(hide) };
+        case 'stream': return mapAsync(value, hide);
+        case 'holds': return value.filter(patronId => patronId === user.patronId);
+        case 'loans': return value.filter(({ patronId }) => patronId === user.patronId).map(item => ({ ...item, book: hide(item.book) }));
+        default: return value;
+    }
+}
+
+/**
+ * View of a library that checks each call against a user's role; see LibraryManager#as
+ * @param {Object} library - LibraryManager
+ * @param {Object} user - { id, role, patronId } or a context object { user }
+ * @returns {Proxy} The library's API for that user, plus `context` ({ user, can(permission) })
+ */
+export function bindUser(library, user) {
+    const account = normalizeUser(user?.user ?? user);
+    const context = Object.freeze({ user: account, can: permission => can(account, permission) });
+
+    return new Proxy(library, {
+        get(target, property) {
+            if (property === 'context') return context;
+            if (typeof property === 'symbol') return undefined;
+            const value = Reflect.get(target, property, target);
+            const rule = operationRules.get(property);
+            // Probes for members the library doesn't have (`then` from await, `toJSON`...) find nothing
+            if (value === undefined && !rule) return undefined;
+            if (typeof value !== 'function') {
+                authorize(account, property);
+                return redactResult(value, rule?.returns, account);
+            }
+            return (...args) => {
+                const allowed = authorize(account, property, args);
+                return redactResult(value.apply(target, allowed), rule?.returns, account);
+            };
+        },
+        set(target, property) {
+            throw new AuthorizationError(`${account.role} ${account.id} may not set ${String(property)}`, { userId: account.id, role: account.role, operation: String(property) });
+        }
+    });
+}
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the Library Management System (Node only)
+ *
+ * Usage: node cli.js <command> [arguments] [--json] [--data <file>] [--as <role>:<id>]
+ * Run without a command to start the interactive REPL. `--as patron:P-1001` runs commands with that
+ * user's permissions instead of as the system.
+ * Exit codes: 0 success, 1 library error (e.g. book not found), 2 usage error, 3 not permitted
+ */
+
+import { createInterface } from 'node:readline';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { books, patrons } from './data.js';
+import { LibraryManager } from './library.js';
+import { PatronRegistry } from './patrons.js';
+import { JsonFileStore } from './file-store.js';
+import { LibraryError, AuthorizationError } from './errors.js';
+import { formats, detectFormat } from './formats.js';
+import { displayStatistics, displayBooks, displaySearchResults, displayQueryResults, displayImportReport, formatAvailability } from './ui.js';
+
+const HISTORY_FILE = join(homedir(), '.library_history');
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'dry-run']);
+
+// ----------------------
+// Bad command-line input; reported with usage and exit code 2
+class UsageError extends LibraryError {
+    constructor(message) {
+        super(message, { code: 'USAGE' });
+    }
+}
+
+// ----------------------
+// Parse `--as <role>:<id>` into a user record for LibraryManager#as
+export function parseUser(spec) {
+    const [role, id] = spec.split(/:(.*)/s);
+    if (!role || !id) throw new UsageError('--as must look like <role>:<id>, e.g. patron:P-1001');
+    return { id, role };
+}
+
+// ----------------------
+// Read a file named on the command line; a missing or unreadable file is bad input, not a crash
+function readInput(file) {
+    try {
+        return readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new UsageError(`Cannot read "${file}" (${err.code ?? err.message})`);
+    }
+}
+
+// ----------------------
+// Split a REPL line into words, honouring "double" and 'single' quotes
+export function splitArgs(line) {
+    return [...line.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(([, double, single, bare]) => double ?? single ?? bare);
+}
+
+// ----------------------
+// Parse argv into { command, positionals, flags }; `--key value` and `--key=value` are both accepted
+export function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.has(name)) {
+            flags[name] = true;
+        } else if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (i + 1 < argv.length) {
+            flags[name] = argv[++i];
+        } else {
+            throw new UsageError(`Missing value for --${name}`);
+        }
+    }
+
+    const [command, ...rest] = positionals;
+    return { command, positionals: rest, flags };
+}
+
+// ----------------------
+// Numeric ids stay numbers so they match the seed data
+const parseId = raw => (/^\d+$/.test(raw) ? Number(raw) : raw);
+
+const requireArg = (value, usage) => {
+    if (value === undefined || value === '') throw new UsageError(`Usage: ${usage}`);
+    return value;
+};
+
+// ----------------------
+// Command table: each handler returns the data printed with --json, after writing human output itself
+export const commands = {
+    add: {
+        usage: 'add --title <title> --author <author> --year <year> [--genre <genre>] [--location <shelf>] [--barcode <code> --branch <branch>] [--id <id>]',
+        run(library, { flags, json }) {
+            const { title, author, year, genre, location, barcode, branch, id } = flags;
+            requireArg(title, this.usage);
+            requireArg(author, this.usage);
+            requireArg(year, this.usage);
+
+            // Field checks, normalization and id assignment are the library schema's job
+            const { added: [book] } = library.addBooks({
+                id: id === undefined ? undefined : parseId(id),
+                title,
+                author,
+                year,
+                genre,
+                ...(barcode === undefined
+                    ? { availability: { status: 'available', location } }
+                    : { copies: [{ barcode, branch, location, status: 'available' }] })
+            });
+            if (!json) console.log(`🟢 Added #${book.id}: ${book.title} by ${book.author}`);
+            return book;
+        }
+    },
+
+    search: {
+        usage: 'search <words...> | search --query "<query>" [--limit <n>]',
+        run(library, { positionals, flags, json }) {
+            if (flags.limit !== undefined && !/^[1-9]\d*$/.test(flags.limit)) throw new UsageError('--limit must be a positive whole number');
+            const limit = flags.limit === undefined ? undefined : Number(flags.limit);
+            if (flags.query !== undefined) {
+                const result = library.query(`${flags.query}${limit ? ` limit:${limit}` : ''}`);
+                if (!json) displayQueryResults(result, 'Search');
+                return result;
+            }
+
+            const text = requireArg(positionals.join(' '), this.usage);
+            const results = library.search(text, { limit });
+            if (!json) displaySearchResults(results, text);
+            return results.map(({ book, score }) => ({ ...book, score }));
+        }
+    },
+
+    checkout: {
+        usage: 'checkout <bookId> <patronId> [--days <n>] [--barcode <code> | --branch <branch>] (patrons using --as may omit <patronId>)',
+        run(library, { positionals: [bookId, patronId], flags, json }) {
+            if (!library.context || library.context.can('circulation:any')) requireArg(patronId, this.usage);
+            if (flags.days !== undefined && !/^\d+$/.test(flags.days)) throw new UsageError('--days must be a whole number of days');
+            const days = flags.days === undefined ? undefined : Number(flags.days);
+            const { barcode, branch } = flags;
+            const book = library.checkOut(parseId(requireArg(bookId, this.usage)), patronId, { days, barcode, branch });
+            if (!json) console.log(`📤 ${book.title}: ${formatAvailability(book.availability)}`);
+            return book;
+        }
+    },
+
+    return: {
+        usage: 'return <bookId> [--barcode <code> | --patron <patronId>]',
+        run(library, { positionals: [bookId], flags, json }) {
+            const book = library.returnBook(parseId(requireArg(bookId, this.usage)), { barcode: flags.barcode, patronId: flags.patron });
+            if (!json) console.log(`📥 ${book.title}: ${formatAvailability(book.availability)}`);
+            return book;
+        }
+    },
+
+    'add-copy': {
+        usage: 'add-copy <bookId> --barcode <code> --branch <branch> [--location <shelf>] [--condition <grade>]',
+        run(library, { positionals: [bookId], flags, json }) {
+            const { barcode, branch, location, condition } = flags;
+            requireArg(barcode, this.usage);
+            requireArg(branch, this.usage);
+            const book = library.addCopy(parseId(requireArg(bookId, this.usage)), { barcode, branch, location, condition });
+            if (!json) console.log(`🏷️  ${book.title}: ${formatAvailability(book.availability)}`);
+            return book;
+        }
+    },
+
+    transfer: {
+        usage: 'transfer <barcode> <branch>',
+        run(library, { positionals: [barcode, branch], json }) {
+            requireArg(branch, this.usage);
+            const book = library.transferCopy(requireArg(barcode, this.usage), branch);
+            if (!json) console.log(`🚚 ${book.title}: copy ${barcode} in transit to ${branch}`);
+            return book;
+        }
+    },
+
+    receive: {
+        usage: 'receive <barcode> [--location <shelf>]',
+        run(library, { positionals: [barcode], flags, json }) {
+            const book = library.receiveTransfer(requireArg(barcode, this.usage), { location: flags.location });
+            if (!json) console.log(`🏛️  ${book.title}: ${formatAvailability(book.availability)}`);
+            return book;
+        }
+    },
+
+    stats: {
+        usage: 'stats',
+        run(library, { json }) {
+            const statistics = library.getStatistics();
+            if (!json) displayStatistics(statistics);
+            return statistics;
+        }
+    },
+
+    list: {
+        usage: 'list',
+        run(library, { json }) {
+            if (!json) displayBooks(library.books, `Catalog (${library.books.length})`);
+            return library.books;
+        }
+    },
+
+    import: {
+        usage: 'import <file> [--format csv|jsonl|marc] [--duplicates skip|merge|error] [--map "Header=field,..."] [--dry-run]',
+        run(library, { positionals: [file], flags, json }) {
+            const format = flags.format ?? detectFormat(requireArg(file, this.usage));
+            if (!formats.has(format)) throw new UsageError(`Cannot tell the format of "${file}"; pass --format csv|jsonl|marc`);
+            if (flags.duplicates && !['skip', 'merge', 'error'].includes(flags.duplicates)) {
+                throw new UsageError('--duplicates must be skip, merge or error');
+            }
+
+            const mapping = Object.fromEntries((flags.map ?? '').split(',').filter(Boolean).map(pair => pair.split('=')));
+            const parsed = formats.get(format).parse(readInput(file), { mapping });
+            const dryRun = Boolean(flags['dry-run']);
+            const report = library.importBooks(parsed, { duplicates: flags.duplicates, dryRun });
+            if (!json) displayImportReport(report, dryRun);
+            return report;
+        }
+    },
+
+    export: {
+        usage: 'export [--format json|csv|jsonl|marc] [--out <file>]',
+        run(library, { flags }) {
+            const format = flags.format ?? (flags.out && detectFormat(flags.out)) ?? 'json';
+            if (format !== 'json' && !formats.has(format)) throw new UsageError(`Unknown export format "${format}"`);
+
+            const text = format === 'json'
+                ? `${JSON.stringify(library.toSnapshot(), null, 2)}\n`
+                : formats.get(format).serialize(library.books);
+            if (flags.out) {
+                writeFileSync(flags.out, text);
+                console.error(`💾 Exported ${library.books.length} book(s) to ${flags.out} as ${format}`);
+            } else {
+                process.stdout.write(text);
+            }
+            return undefined; // Already printed in the requested format
+        }
+    }
+};
+
+// ----------------------
+// Usage text listing every command
+export function helpText() {
+    const lines = Object.values(commands).map(({ usage }) => `  ${usage}`);
+    return [
+        'Usage: node cli.js <command> [arguments] [--json] [--data <file>] [--as <role>:<id>]',
+        '',
+        'Commands:',
+        ...lines,
+        '',
+        'Run without a command for an interactive session.'
+    ].join('\n');
+}
+
+// ----------------------
+// Run one parsed command against a library; returns the exit code
+export function execute(library, { command, positionals, flags }) {
+    const json = Boolean(flags.json);
+    try {
+        const handler = commands[command];
+        if (!handler) throw new UsageError(`Unknown command "${command}"`);
+
+        const result = handler.run(library, { positionals, flags, json });
+        if (json && result !== undefined) console.log(JSON.stringify(result, null, 2));
+        return 0;
+    } catch (err) {
+        if (!(err instanceof LibraryError)) throw err;
+        if (json) {
+            console.error(JSON.stringify({ error: { name: err.name, code: err.code, message: err.message } }));
+        } else {
+            console.error(`${err instanceof AuthorizationError ? '🔒' : '❌'} ${err.message}`);
+            if (err instanceof UsageError) console.error(helpText());
+        }
+        if (err instanceof UsageError) return 2;
+        return err instanceof AuthorizationError ? 3 : 1;
+    }
+}
+
+// ----------------------
+// Tab completion: command names first, then titles and authors
+export function createCompleter(library) {
+    return (line) => {
+        const [command] = splitArgs(line);
+        if (!line.includes(' ')) {
+            const names = [...Object.keys(commands), 'help', 'exit'];
+            const hits = names.filter(name => name.startsWith(line));
+            return [hits.length ? hits : names, line];
+        }
+
+        const fragment = line.slice(command.length).trimStart();
+        const needle = fragment.replace(/^["']/, '').toLowerCase();
+        const candidates = [...new Set(library.books.flatMap(({ title, author }) => [title, author]))];
+        const hits = candidates
+            .filter(text => text?.toLowerCase().startsWith(needle))
+            .map(text => (text.includes(' ') ? `"${text}"` : text));
+        return [hits, fragment];
+    };
+}
+
+// ----------------------
+// Interactive session with persistent history; resolves when the user exits
+export function startRepl(library, { input = process.stdin, output = process.stdout } = {}) {
+    let history = [];
+    try {
+        history = readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).reverse();
+    } catch {
+        // No history yet
+    }
+
+    const rl = createInterface({ input, output, completer: createCompleter(library), history, historySize: 500, prompt: 'library> ' });
+    rl.prompt();
+
+    rl.on('line', (line) => {
+        const words = splitArgs(line.trim());
+        if (words[0] === 'exit' || words[0] === 'quit') {
+            rl.close();
+            return;
+        }
+        if (words[0] === 'help') {
+            console.log(helpText());
+        } else if (words.length) {
+            try {
+                execute(library, parseArgs(words));
+            } catch (err) {
+                console.error(`❌ ${err.message}`);
+            }
+        }
+        rl.prompt();
+    });
+
+    return new Promise(resolve => rl.on('close', () => {
+        try {
+            writeFileSync(HISTORY_FILE, `${[...rl.history].reverse().join('\n')}\n`);
+        } catch {
+            // History is a convenience; never fail the session over it
+        }
+        resolve(0);
+    }));
+}
+
+/**
+ * CLI entry point
+ * @param {Array} argv - Arguments after `node cli.js`
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        console.error(`❌ ${err.message}\n${helpText()}`);
+        return 2;
+    }
+
+    const { command, flags } = parsed;
+    if (flags.help || command === 'help') {
+        console.log(helpText());
+        return 0;
+    }
+
+    const dataFile = flags.data ?? process.env.LIBRARY_DATA ?? 'library.json';
+    let library;
+    try {
+        const registry = new PatronRegistry(patrons);
+        library = new LibraryManager(structuredClone(books), { patrons: registry, store: new JsonFileStore(dataFile) });
+        if (flags.as) {
+            library = library.as(parseUser(flags.as));
+            const { patronId } = library.context.user;
+            if (patronId !== undefined && !registry.getPatron(patronId)) throw new UsageError(`--as names unknown patron ${patronId}`);
+        }
+    } catch (err) {
+        if (!(err instanceof LibraryError)) throw err;
+        console.error(`❌ ${err.message}`);
+        return err instanceof UsageError ? 2 : 1;
+    }
+
+    return command ? execute(library, parsed) : startRepl(library);
+}
+
+// ----------------------
+// Run when invoked directly rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = await main(process.argv.slice(2));
+}
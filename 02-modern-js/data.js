@@ -3,6 +3,9 @@
  * Demonstrates modern JavaScript features: Map, Set, destructuring, generators, and more
  */
 
+import { copiesOf, hasCopy } from './inventory.js';
+import { i18nFor, describeAvailability } from './i18n.js';
+
 // Sample book data
 export const books = [
     {
@@ -11,7 +14,10 @@ export const books = [
         author: "Robert C. Martin",
         year: 2011,
         genre: "Programming",
-        availability: { status: "available", location: "A1-23" }
+        copies: [
+            { barcode: "31001000000011", branch: "Main", location: "A1-23", condition: "good", status: "available" },
+            { barcode: "31001000000012", branch: "Eastside", location: "E2-04", condition: "fair", status: "available" }
+        ]
     },
     {
         id: 2,
@@ -19,7 +25,9 @@ export const books = [
         author: "Kyle Simpson",
         year: 2014,
         genre: "Programming",
-        availability: { status: "checked_out", dueDate: "2024-12-01" }
+        copies: [
+            { barcode: "31001000000021", branch: "Main", condition: "good", status: "checked_out", patronId: "P-1002", dueDate: "2024-12-01", shelfLocation: "A1-40" }
+        ]
     },
     {
         id: 3,
@@ -35,10 +43,27 @@ export const books = [
         author: "Robert C. Martin",
         year: 2017,
         genre: "Programming",
-        availability: { status: "available", location: "A2-15" }
+        copies: [
+            { barcode: "31001000000041", branch: "Main", location: "A2-15", condition: "new", status: "available" }
+        ]
     }
 ];
 
+// ----------------------
+// Sample library members
+export const patrons = [
+    { id: "P-1001", name: "Ada Lovelace", tier: "premium" },
+    { id: "P-1002", name: "Alan Turing", tier: "standard" },
+    { id: "P-1003", name: "Grace Hopper", tier: "student" }
+];
+
+// ----------------------
+// Branches holding copies, by code
+export const branches = new Map([
+    ["Main", "Main Library"],
+    ["Eastside", "Eastside Branch"]
+]);
+
 // ----------------------
 // Map for book categories
 export const categoryDescriptions = new Map([
@@ -51,10 +76,10 @@ export const categoryDescriptions = new Map([
 export const uniqueAuthors = new Set(books.map(book => book.author));
 
 // ----------------------
-// Filter books by availability status
-export function filterBooksByStatus(bookArray, status) {
+// Filter books having any copy in a status, optionally at one branch
+export function filterBooksByStatus(bookArray, status, branch) {
     return bookArray.filter(
-        book => book.availability?.status === status
+        book => hasCopy(book, status, branch)
     );
 }
 
@@ -80,21 +105,29 @@ export function* bookTitleGenerator(bookArray) {
 }
 
 // ----------------------
-// Create formatted book summary
-export function createBookSummary(book) {
-    const {
-        title,
-        author,
-        year,
-        availability: { status, location, dueDate } = {}
-    } = book;
+// Name of the patron holding a checked-out book, falling back to their id
+export function describeBorrower(availability, patronRegistry) {
+    const { status, patronId } = availability ?? {};
+    if (status !== "checked_out" || patronId === undefined) return null;
+    return patronRegistry?.getPatron(patronId)?.name ?? patronId;
+}
+
+// ----------------------
+// Borrowers of every checked-out copy of a book, comma separated (null when none)
+export function describeBorrowers(book, patronRegistry) {
+    const names = copiesOf(book).map(copy => describeBorrower(copy, patronRegistry)).filter(Boolean);
+    return names.length ? names.join(", ") : null;
+}
 
-    const availabilityText =
-        status === "available"
-            ? `Available at ${location}`
-            : status === "checked_out"
-            ? `Checked out, due on ${dueDate}`
-            : "Availability unknown";
+// ----------------------
+// Create formatted book summary in `locale`; the borrower is only shown when `canViewBorrower` is set
+export function createBookSummary(book, { patrons: patronRegistry, canViewBorrower = false, locale, asOf } = {}) {
+    const { title, author, year, availability } = book;
+    const { t } = i18nFor(locale);
+    const borrower = canViewBorrower ? describeBorrowers(book, patronRegistry) : null;
+    const { availableCopies, totalCopies } = availability ?? {};
+    const copiesText = totalCopies > 1 ? ` [${t("availability.copies", { available: availableCopies, count: totalCopies })}]` : "";
+    const availabilityText = describeAvailability(availability, { locale, asOf });
 
-    return `${title} by ${author} (${year}) - ${availabilityText}`;
+    return `${t("book.summary", { title, author, year, availability: availabilityText })}${copiesText}${borrower ? ` (${t("book.borrowedBy", { name: borrower })})` : ""}`;
 }
@@ -0,0 +1,26 @@
+/**
+ * Date helpers for the Library Management System
+ * Due dates are stored as ISO calendar dates ("2024-12-01") so they compare as plain strings
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ----------------------
+// Format a Date as an ISO calendar date (UTC)
+export function toISODate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+// ----------------------
+// Add whole days to a date, returning a new Date
+export function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+// ----------------------
+// Whole calendar days from `from` to `to` (negative if `to` is earlier)
+export function daysBetween(from, to) {
+    const start = Date.parse(toISODate(from));
+    const end = Date.parse(toISODate(to));
+    return Math.round((end - start) / MS_PER_DAY);
+}
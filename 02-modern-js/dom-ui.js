@@ -0,0 +1,358 @@
+/**
+ * Browser (DOM) rendering for the Library Management System
+ *
+ * `DomRenderer` offers the same entry points as the console functions in ui.js
+ * (displayStatistics, displayBooks, displaySearchResults, showBookAnalysis) but draws into
+ * page regions; `mountLibraryApp` wires it to a LibraryManager as a searchable, sortable
+ * catalog with checkout and return controls. Book text only reaches the page through the
+ * `html` template tag, which escapes every interpolated value.
+ */
+
+import { LibraryError, AuthorizationError } from './errors.js';
+import { branches, describeBorrowers } from './data.js';
+import { copiesOf, hasCopy } from './inventory.js';
+import { compileSort } from './query.js';
+import { highlight } from './search.js';
+import { formatAvailability, analyzeBooks, describeSearchCriteria } from './ui.js';
+import { i18nFor } from './i18n.js';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// ----------------------
+// Escape text for use in HTML content or a quoted attribute
+export const escapeHTML = value => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// ----------------------
+// Markup produced by `html`, inserted into other templates without being escaped again
+class SafeHTML {
+    #markup;
+
+    constructor(markup) {
+        this.#markup = markup;
+    }
+
+    toString() {
+        return this.#markup;
+    }
+}
+
+// ----------------------
+// Convert an interpolated value to markup: fragments pass through, arrays are joined, the rest is escaped
+function toMarkup(value) {
+    if (value instanceof SafeHTML) return String(value);
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === undefined || value === null || value === false) return '';
+    return escapeHTML(value);
+}
+
+// ----------------------
+// Template tag: html`<td>${book.title}</td>` escapes the title; nested html`` fragments are kept as markup
+export function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, part, i) => markup + part + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+// ----------------------
+// Highlight matched words with <mark>, escaping the text around them
+function markMatches(text, spans) {
+    const [open, close] = ['\u0001', '\u0002']; // Control characters survive escaping untouched
+    const marked = escapeHTML(highlight(text ?? '', spans, [open, close]));
+    return new SafeHTML(marked.replaceAll(open, '<mark>').replaceAll(close, '</mark>'));
+}
+
+// ----------------------
+// Sortable catalog columns: [sort key, heading message]
+const COLUMNS = [
+    ['title', 'column.title'],
+    ['author', 'column.author'],
+    ['year', 'column.year'],
+    ['status', 'column.availability']
+];
+
+/**
+ * DomRenderer draws the ui.js entry points into regions of a root element
+ */
+export class DomRenderer {
+    #root;
+    #locale;
+
+    // `locale` translates headings and availability and sets the root's lang and dir (rtl for Arabic)
+    constructor(root, { locale } = {}) {
+        if (!root) throw new LibraryError('DomRenderer needs a root element to draw into', { code: 'NO_ROOT_ELEMENT' });
+        this.#root = root;
+        this.#locale = locale;
+        if (locale) {
+            const { locale: lang, dir } = i18nFor(locale); // Unsupported tags come back as the default locale
+            root.lang = lang;
+            root.dir = dir;
+        }
+    }
+
+    /**
+     * Draw the statistics dashboard
+     * @param {Object} statistics - Result of LibraryManager#getStatistics
+     */
+    displayStatistics(statistics) {
+        const { total = 0, available = 0, checkedOut = 0, onHold = 0, overdue = 0, outstandingFines = 0, branches: byBranch = {} } = statistics;
+        const { t, formatNumber, formatAmount } = i18nFor(this.#locale);
+        const cards = [
+            ['stats.total', formatNumber(total)],
+            ['stats.available', formatNumber(available)],
+            ['stats.checkedOut', formatNumber(checkedOut)],
+            ['stats.onHold', formatNumber(onHold)],
+            ['stats.overdue', formatNumber(overdue)],
+            ['stats.fines', formatAmount(outstandingFines)]
+        ];
+
+        this.#render('statistics', html`
+            <h2>${t('stats.heading')}</h2>
+            <dl class="dashboard">
+                ${cards.map(([key, value]) => html`<div class="card"><dt>${t(key)}</dt><dd>${value}</dd></div>`)}
+            </dl>
+            ${Object.keys(byBranch).length ? html`
+                <ul class="branches">
+                    ${Object.entries(byBranch).map(([branch, { copies: count, ...counts }]) => html`
+                        <li>${t('stats.branch', { branch: branches.get(branch) ?? branch, count, ...counts })}</li>`)}
+                </ul>` : ''}
+        `);
+    }
+
+    /**
+     * Draw a table of books
+     * @param {Array} books - Array of book objects
+     * @param {string} title - Table caption
+     * @param {Object} [options] - { patrons, canViewBorrower, sort: { key, direction }, sortable, controls, patronChoices, matches }
+     *                             `controls` adds checkout/return buttons; `matches` maps book ids to search highlight spans;
+     *                             `asOf` is the date relative due dates count from
+     */
+    displayBooks(books, title, options = {}) {
+        const { patrons, canViewBorrower = false, sort, sortable = false, controls = false, patronChoices = [], matches, asOf } = options;
+        const { t } = i18nFor(this.#locale);
+
+        const heading = ([key, message]) => {
+            const label = t(message);
+            if (!sortable) return html`<th scope="col">${label}</th>`;
+            const direction = sort?.key === key ? (sort.direction < 0 ? 'descending' : 'ascending') : 'none';
+            return html`<th scope="col" aria-sort="${direction}"><button type="button" data-sort="${key}">${label}</button></th>`;
+        };
+
+        const row = book => {
+            const spans = matches?.get(book.id) ?? {};
+            const borrower = canViewBorrower ? describeBorrowers(book, patrons) : null;
+            return html`
+                <tr data-book-id="${book.id}">
+                    <td>${markMatches(book.title, spans.title)}</td>
+                    <td>${markMatches(book.author, spans.author)}</td>
+                    <td>${book.year}</td>
+                    <td>${formatAvailability(book.availability, { locale: this.#locale, asOf })}${borrower ? html` <span class="borrower">(${borrower})</span>` : ''}</td>
+                    ${controls ? html`<td class="actions">${this.#controls(book, patronChoices)}</td>` : ''}
+                </tr>`;
+        };
+
+        this.#render('books', html`
+            <table class="catalog">
+                <caption>${title ?? t('books.heading')}</caption>
+                <thead><tr>${COLUMNS.map(heading)}${controls ? html`<th scope="col">${t('column.actions')}</th>` : ''}</tr></thead>
+                <tbody>
+                    ${books.length ? books.map(row) : html`<tr><td colspan="${COLUMNS.length + (controls ? 1 : 0)}">${t('search.none')}</td></tr>`}
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Draw search results: plain books from searchBooks, or ranked results from search with highlights
+     * @param {Array} searchResults - Book objects, or [{ book, score, matches }]
+     * @param {Object|string} searchCriteria - Object with title, author, genre, or a free-text query
+     * @param {Object} [options] - Passed on to displayBooks
+     */
+    displaySearchResults(searchResults, searchCriteria = {}, options = {}) {
+        const ranked = searchResults.length > 0 && searchResults[0].book !== undefined;
+        const books = ranked ? searchResults.map(({ book }) => book) : searchResults;
+        const matches = ranked ? new Map(searchResults.map(({ book, matches: spans }) => [book.id, spans])) : undefined;
+        const { t } = i18nFor(this.#locale);
+        const heading = t('search.heading', { criteria: describeSearchCriteria(searchCriteria, { locale: this.#locale }) });
+        this.displayBooks(books, `${heading}: ${books.length}`, { ...options, matches });
+    }
+
+    /**
+     * Draw decade, genre and author insights for a collection
+     * @param {Array} books - Array of book objects
+     */
+    showBookAnalysis(books) {
+        const { t } = i18nFor(this.#locale);
+        if (!books.length) {
+            this.#render('analysis', html`<h2>${t('analysis.heading')}</h2><p>${t('analysis.none')}</p>`);
+            return;
+        }
+
+        const { decadeCounts, genreCounts, mostProlific } = analyzeBooks(books);
+        const list = counts => html`<ul>${Object.entries(counts).map(([label, count]) => html`<li>${label}: ${count}</li>`)}</ul>`;
+        this.#render('analysis', html`
+            <h2>${t('analysis.heading')}</h2>
+            <h3>${t('analysis.decades')}</h3>${list(decadeCounts)}
+            <h3>${t('analysis.genres')}</h3>${list(genreCounts)}
+            <p>${t('analysis.prolific', { author: mostProlific?.[0], books: t('books.count', { count: mostProlific?.[1] }) })}</p>
+        `);
+    }
+
+    // ----------------------
+    // Private: checkout form for titles with a copy on the shelf, and a return button per loan
+    #controls(book, patronChoices) {
+        const { t } = i18nFor(this.#locale);
+        const canCheckOut = hasCopy(book, 'available') || hasCopy(book, 'on_hold');
+        const patronField = patronChoices.length
+            ? html`<select name="patronId" aria-label="${t('patron.label')}">${patronChoices.map(({ id, name }) => html`<option value="${id}">${name ?? id}</option>`)}</select>`
+            : html`<input name="patronId" required placeholder="${t('patron.id')}" aria-label="${t('patron.id')}">`;
+        const loans = copiesOf(book).filter(({ status }) => status === 'checked_out');
+
+        return html`
+            ${canCheckOut ? html`<form data-action="checkout">${patronField}<button type="submit">${t('action.checkOut')}</button></form>` : ''}
+            ${loans.map(({ barcode, patronId }) => html`
+                <button type="button" data-action="return" data-barcode="${barcode ?? ''}" data-patron-id="${patronId ?? ''}">${barcode ? t('action.returnCopy', { barcode }) : t('action.return')}</button>`)}
+        `;
+    }
+
+    // ----------------------
+    // Private: replace the markup of a region, creating it at the end of the root on first use
+    #render(name, markup) {
+        let region = this.#root.querySelector(`[data-region="${name}"]`);
+        if (!region) {
+            region = this.#root.ownerDocument.createElement('section');
+            region.dataset.region = name;
+            this.#root.append(region);
+        }
+        region.innerHTML = String(markup);
+    }
+}
+
+/**
+ * Mount an interactive catalog: dashboard, search box, sortable table with checkout/return controls, analysis.
+ * The page redraws whenever the library emits a change event.
+ * @param {Element} root - Element to draw into (its contents are replaced)
+ * @param {Object} library - LibraryManager
+ * @param {Object} [options] - { patrons: [{ id, name }] offered for checkout when the library has no registry, canViewBorrower,
+ *                             locale (defaults to the library's), user: { id, role, patronId } to act as (see LibraryManager#as) }
+ * @returns {Function} Call to unmount and stop listening
+ */
+export function mountLibraryApp(root, library, { patrons = [], user, locale = library.locale, ...options } = {}) {
+    // Reads and actions go through the user's view; redrawing on change events is the page's own business
+    const view = user ? library.as(user) : library;
+    const can = permission => view.context?.can(permission) ?? true;
+    const { canViewBorrower = can('loans:any') } = options;
+    const renderer = new DomRenderer(root, { locale });
+    const { t } = i18nFor(locale);
+    const state = { text: '', sort: undefined }; // sort: { key, direction: 1 | -1 }
+
+    root.innerHTML = String(html`
+        <section data-region="statistics"></section>
+        <form data-region="toolbar" role="search">
+            <input type="search" name="q" placeholder="${t('search.placeholder')}" aria-label="${t('search.label')}">
+        </form>
+        <p data-region="message" role="status" aria-live="polite"></p>
+        <section data-region="books"></section>
+        <section data-region="analysis"></section>
+    `);
+    const message = root.querySelector('[data-region="message"]');
+    const say = (text, isError = false) => {
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    };
+
+    const render = () => {
+        const bySort = state.sort && compileSort([`${state.sort.direction < 0 ? '-' : ''}${state.sort.key}`], { locale });
+        const registry = can('patrons:read') ? view.patrons : undefined;
+        const options = {
+            patrons: registry,
+            canViewBorrower,
+            sort: state.sort,
+            sortable: true,
+            controls: true,
+            patronChoices: can('circulation:any') ? registry?.patrons ?? patrons : [{ id: view.context.user.patronId }]
+        };
+
+        renderer.displayStatistics(view.getStatistics());
+        if (state.text.trim()) {
+            const results = view.search(state.text);
+            if (bySort) results.sort((a, b) => bySort(a.book, b.book));
+            renderer.displaySearchResults(results, state.text, options);
+        } else {
+            const books = bySort ? [...view.books].sort(bySort) : view.books;
+            renderer.displayBooks(books, t('catalog.heading', { count: books.length }), options);
+        }
+        renderer.showBookAnalysis(view.books);
+    };
+
+    // Several events can fire for one operation; redraw once after the last of them
+    let scheduled = false;
+    const scheduleRender = () => {
+        if (scheduled) return;
+        scheduled = true;
+        queueMicrotask(() => {
+            scheduled = false;
+            render();
+        });
+    };
+
+    const bookFor = element => {
+        const id = element.closest('[data-book-id]')?.dataset.bookId;
+        return view.books.find(book => String(book.id) === id);
+    };
+    const attempt = (action) => {
+        try {
+            say(action());
+        } catch (err) {
+            if (!(err instanceof LibraryError)) throw err;
+            say(err instanceof AuthorizationError ? `🔒 ${err.message}` : err.message, true);
+        }
+    };
+
+    const onInput = (event) => {
+        if (event.target.name !== 'q') return;
+        state.text = event.target.value;
+        render();
+    };
+
+    const onClick = (event) => {
+        const sortButton = event.target.closest('[data-sort]');
+        if (sortButton) {
+            const { sort: key } = sortButton.dataset;
+            state.sort = { key, direction: state.sort?.key === key ? -state.sort.direction : 1 };
+            render();
+            return;
+        }
+
+        const returnButton = event.target.closest('[data-action="return"]');
+        if (returnButton) {
+            const book = bookFor(returnButton);
+            const { barcode, patronId } = returnButton.dataset;
+            attempt(() => {
+                view.returnBook(book.id, { barcode: barcode || undefined, patronId: patronId || undefined });
+                return t('action.returned', { title: book.title });
+            });
+        }
+    };
+
+    const onSubmit = (event) => {
+        event.preventDefault();
+        if (event.target.dataset.action !== 'checkout') return;
+        const book = bookFor(event.target);
+        const patronId = event.target.elements.patronId.value.trim();
+        attempt(() => {
+            const { availability } = view.checkOut(book.id, patronId);
+            return t('action.checkedOut', { title: book.title, patronId, availability: formatAvailability(availability, { locale }) });
+        });
+    };
+
+    root.addEventListener('input', onInput);
+    root.addEventListener('click', onClick);
+    root.addEventListener('submit', onSubmit);
+    const stopListening = library.on('*', scheduleRender);
+    render();
+
+    return () => {
+        stopListening();
+        root.removeEventListener('input', onInput);
+        root.removeEventListener('click', onClick);
+        root.removeEventListener('submit', onSubmit);
+    };
+}
@@ -0,0 +1,114 @@
+/**
+ * Error types for the Library Management System
+ * Every error carries a stable `code` so callers can branch without parsing messages
+ */
+
+// ----------------------
+// Base class for all library errors
+export class LibraryError extends Error {
+    constructor(message, { code = 'LIBRARY_ERROR', ...details } = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// ----------------------
+// Thrown when a book id does not exist in the catalog
+export class BookNotFoundError extends LibraryError {
+    constructor(bookId) {
+        super(`No book with id ${bookId}`, { code: 'BOOK_NOT_FOUND', bookId });
+    }
+}
+
+// ----------------------
+// Thrown when no copy in the catalog carries a barcode
+export class CopyNotFoundError extends LibraryError {
+    constructor(barcode) {
+        super(`No copy with barcode ${barcode}`, { code: 'COPY_NOT_FOUND', barcode });
+    }
+}
+
+// ----------------------
+// Thrown when a circulation operation is not allowed in the book's current state
+export class CirculationError extends LibraryError {
+    constructor(message, { bookId, status, operation } = {}) {
+        super(message, { code: 'ILLEGAL_TRANSITION', bookId, status, operation });
+    }
+}
+
+// ----------------------
+// Thrown when a patron id is not registered
+export class PatronNotFoundError extends LibraryError {
+    constructor(patronId) {
+        super(`No patron with id ${patronId}`, { code: 'PATRON_NOT_FOUND', patronId });
+    }
+}
+
+// ----------------------
+// Thrown when a patron may not borrow (suspended, or at the tier's loan limit)
+export class BorrowingRestrictedError extends LibraryError {
+    constructor(message, { patronId, reason } = {}) {
+        super(message, { code: reason, patronId });
+    }
+}
+
+// ----------------------
+// Thrown when a store cannot read, migrate or write library data
+export class StorageError extends LibraryError {
+    constructor(message, { cause, version } = {}) {
+        super(message, { code: 'STORAGE_ERROR', version });
+        if (cause) this.cause = cause;
+    }
+}
+
+// ----------------------
+// Thrown when a query string or query object cannot be understood (code INVALID_CURSOR for a bad or stale cursor)
+export class QuerySyntaxError extends LibraryError {
+    constructor(message, { position, query, code = 'QUERY_SYNTAX' } = {}) {
+        super(message, { code, position, query });
+    }
+}
+
+// ----------------------
+// Thrown when an added book duplicates one already in the catalog and the policy is 'error'
+export class DuplicateBookError extends LibraryError {
+    constructor(book, existing) {
+        super(`"${book.title}" duplicates book ${existing.id} ("${existing.title}")`, { code: 'DUPLICATE_BOOK', bookId: existing.id });
+    }
+}
+
+// ----------------------
+// Thrown when book data fails schema validation; `errors` lists every failing field
+export class ValidationError extends LibraryError {
+    constructor(errors) {
+        const summary = errors.map(({ field, message }) => `${field}: ${message}`).join('; ');
+        super(`Invalid book data - ${summary}`, { code: 'VALIDATION_FAILED', errors });
+    }
+}
+
+// ----------------------
+// Thrown when a write is based on a stale version of a record, or an undo would clobber a later edit
+export class VersionConflictError extends LibraryError {
+    constructor(message, { bookId, expectedVersion, actualVersion } = {}) {
+        super(message, { code: 'VERSION_CONFLICT', bookId, expectedVersion, actualVersion });
+    }
+}
+
+// ----------------------
+// Thrown by a notification transport that could not deliver a message; the notifier retries it
+export class DeliveryError extends LibraryError {
+    constructor(message, { cause, messageId, channel } = {}) {
+        super(message, { code: 'DELIVERY_FAILED', messageId, channel });
+        if (cause) this.cause = cause;
+    }
+}
+
+// ----------------------
+// Thrown when a user's role does not allow an operation (see access.js)
+export class AuthorizationError extends LibraryError {
+    constructor(message, { userId, role, operation } = {}) {
+        super(message, { code: 'FORBIDDEN', userId, role, operation });
+    }
+}
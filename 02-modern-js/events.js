@@ -0,0 +1,105 @@
+/**
+ * Event emitter for the Library Management System
+ * Handlers subscribe by event type and get an unsubscribe function back;
+ * `stream()` exposes the same events as an async iterator.
+ * A handler that throws is reported as an 'error' event ({ error, event }) to the handlers of 'error'
+ * (not to '*' ones), or logged with console.error when there are none.
+ */
+
+export class Emitter {
+    #handlers = new Map(); // type -> Set of handlers; '*' receives every event
+
+    // ----------------------
+    // Subscribe to one event type ('*' for all); returns a function that unsubscribes
+    on(type, handler) {
+        if (!this.#handlers.has(type)) this.#handlers.set(type, new Set());
+        this.#handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    // ----------------------
+    // Subscribe for a single event
+    once(type, handler) {
+        const off = this.on(type, event => {
+            off();
+            handler(event);
+        });
+        return off;
+    }
+
+    // ----------------------
+    // Remove a handler
+    off(type, handler) {
+        this.#handlers.get(type)?.delete(handler);
+    }
+
+    // ----------------------
+    // Deliver an event to its handlers and to '*' handlers.
+    // A throwing handler is reported (see #report) and never interrupts the library operation or the other handlers.
+    emit(type, payload = {}) {
+        const event = { type, ...payload };
+        const handlers = [...(this.#handlers.get(type) ?? []), ...(this.#handlers.get('*') ?? [])];
+        handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                this.#report(error, event);
+            }
+        });
+        return handlers.length;
+    }
+
+    // ----------------------
+    // Private: pass a handler's error to the 'error' handlers; errors thrown by those are only logged
+    #report(error, event) {
+        const handlers = [...(this.#handlers.get('error') ?? [])];
+        if (!handlers.length || event.type === 'error') {
+            console.error(`Unhandled error in a "${event.type}" event handler:`, error);
+            return;
+        }
+        handlers.forEach(handler => {
+            try {
+                handler({ type: 'error', error, event });
+            } catch (nested) {
+                console.error('Error in an "error" event handler:', nested);
+            }
+        });
+    }
+
+    /**
+     * Async iterator over events, subscribed immediately so nothing emitted after the call is missed
+     * @param {Object} [options] - { types: ['checkedOut', ...], signal: AbortSignal }
+     * @returns {AsyncIterableIterator} Yields event objects; `return()` (or `break`) unsubscribes
+     */
+    stream({ types, signal } = {}) {
+        const buffer = [];
+        const waiting = [];
+        let done = false;
+
+        const off = this.on('*', event => {
+            if (types && !types.includes(event.type)) return;
+            if (waiting.length) waiting.shift()({ value: event, done: false });
+            else buffer.push(event);
+        });
+
+        const finish = () => {
+            done = true;
+            off();
+            waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+            return Promise.resolve({ value: undefined, done: true });
+        };
+        signal?.addEventListener('abort', finish, { once: true });
+
+        return {
+            next() {
+                if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+                if (done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise(resolve => waiting.push(resolve));
+            },
+            return: finish,
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Node file-outbox transport for library notifications
+ * Each message becomes one JSON file in a directory that a mailer (or a person) can pick up.
+ * Files are written to a temporary name and renamed, so readers never see half a message.
+ */
+
+import { writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { DeliveryError } from './errors.js';
+
+export class FileOutboxTransport {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    send(message) {
+        const name = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+        const path = join(this.directory, name);
+        const tempPath = `${path}.${process.pid}.tmp`;
+        try {
+            mkdirSync(this.directory, { recursive: true });
+            writeFileSync(tempPath, `${JSON.stringify(message, null, 2)}\n`);
+            renameSync(tempPath, path);
+        } catch (cause) {
+            throw new DeliveryError(`Cannot write ${path}`, { cause, messageId: message.id, channel: message.channel });
+        }
+        return path;
+    }
+}
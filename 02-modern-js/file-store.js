@@ -0,0 +1,41 @@
+/**
+ * Node JSON file store for the Library Management System
+ * Writes go to a temporary file that is renamed over the target, so a crash never leaves half a file
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { StorageError } from './errors.js';
+
+export class JsonFileStore {
+    constructor(path) {
+        this.path = path;
+    }
+
+    load() {
+        let raw;
+        try {
+            raw = readFileSync(this.path, 'utf8');
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return null;
+            throw new StorageError(`Cannot read ${this.path}`, { cause });
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (cause) {
+            throw new StorageError(`${this.path} is not valid JSON`, { cause });
+        }
+    }
+
+    save(snapshot) {
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        try {
+            mkdirSync(dirname(this.path), { recursive: true });
+            writeFileSync(tempPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+            renameSync(tempPath, this.path);
+        } catch (cause) {
+            throw new StorageError(`Cannot write ${this.path}`, { cause });
+        }
+    }
+}
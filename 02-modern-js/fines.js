@@ -0,0 +1,85 @@
+/**
+ * Overdue detection and fine calculation for the Library Management System
+ * The clock is injectable so results can be reproduced for any reference date
+ */
+
+import { toISODate, daysBetween } from './dates.js';
+import { copiesOf } from './inventory.js';
+
+// ----------------------
+// Default fine policy: amounts are in the library's currency units
+export const defaultFinePolicy = {
+    graceDays: 0, // Days after the due date before fines start accruing
+    dailyRate: 0.25, // Fine per day once the grace period is over
+    maxPerItem: 10 // Cap on the fine for a single loan
+};
+
+/**
+ * OverdueEngine finds overdue loans and prices them against a fine policy
+ */
+export class OverdueEngine {
+    #clock;
+
+    constructor({ clock = () => new Date(), ...policy } = {}) {
+        this.#clock = clock;
+        this.policy = { ...defaultFinePolicy, ...policy };
+    }
+
+    // ----------------------
+    // Today's date according to the injected clock
+    today() {
+        return toISODate(this.#clock());
+    }
+
+    // ----------------------
+    // Days past the due date (0 when not yet due)
+    daysOverdue(dueDate, asOf = this.today()) {
+        return dueDate ? Math.max(0, daysBetween(dueDate, asOf)) : 0;
+    }
+
+    // ----------------------
+    // Fine for a loan due on `dueDate`, after grace days and capped per item
+    calculateFine(dueDate, asOf = this.today()) {
+        const { graceDays, dailyRate, maxPerItem } = this.policy;
+        const chargeableDays = Math.max(0, this.daysOverdue(dueDate, asOf) - graceDays);
+        const fine = Math.min(chargeableDays * dailyRate, maxPerItem);
+        return Math.round(fine * 100) / 100;
+    }
+
+    // ----------------------
+    // Checked-out copies whose due date has passed, most overdue first
+    listOverdue(bookArray, asOf = this.today()) {
+        return bookArray
+            .flatMap(book => copiesOf(book)
+                .filter(({ status, dueDate }) => status === 'checked_out' && dueDate < asOf)
+                .map(({ barcode, patronId, dueDate }) => ({
+                    book,
+                    barcode,
+                    patronId,
+                    dueDate,
+                    daysOverdue: this.daysOverdue(dueDate, asOf),
+                    fine: this.calculateFine(dueDate, asOf)
+                })))
+            .sort((a, b) => b.daysOverdue - a.daysOverdue);
+    }
+
+    // ----------------------
+    // Fines accrued on open loans plus any balance already assessed in the patron registry
+    statement(patronId, bookArray, patronRegistry, asOf = this.today()) {
+        const items = this.listOverdue(bookArray, asOf)
+            .filter(item => item.patronId === patronId)
+            .map(({ book: { id, title }, dueDate, daysOverdue, fine }) => ({ bookId: id, title, dueDate, daysOverdue, fine }));
+        const accrued = items.reduce((sum, { fine }) => sum + fine, 0);
+        const assessed = patronRegistry?.getPatron(patronId)?.fineBalance ?? 0;
+
+        return {
+            patronId,
+            name: patronRegistry?.getPatron(patronId)?.name,
+            asOf,
+            items,
+            accrued: Math.round(accrued * 100) / 100,
+            assessed,
+            totalDue: Math.round((accrued + assessed) * 100) / 100
+        };
+    }
+}
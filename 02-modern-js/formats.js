@@ -0,0 +1,339 @@
+/**
+ * Catalog import/export formats for the Library Management System
+ *   - CSV with header mapping and RFC 4180 quoting
+ *   - JSON Lines, including a streaming reader for large catalogs (the only format that keeps copies)
+ *   - A simple MARC 21-style text format ("=TAG  ind$aValue" lines, blank line between records)
+ *
+ * Every parser returns { books, rejected } where each rejected entry is { row, record, reasons }.
+ */
+
+import { foldText } from './search.js';
+import { copiesOf } from './inventory.js';
+
+// ----------------------
+// Flat columns used by CSV and JSON Lines, in export order
+export const catalogColumns = ['id', 'isbn', 'title', 'author', 'year', 'genre', 'status', 'location', 'dueDate', 'patronId'];
+
+// ----------------------
+// Header aliases recognised without an explicit mapping (compared folded, without punctuation)
+const HEADER_ALIASES = new Map([
+    ["id", "id"], ["bookid", "id"],
+    ["isbn", "isbn"], ["isbn13", "isbn"], ["isbn10", "isbn"],
+    ["title", "title"], ["booktitle", "title"], ["name", "title"],
+    ["author", "author"], ["authors", "author"], ["writer", "author"],
+    ["year", "year"], ["published", "year"], ["publicationyear", "year"],
+    ["genre", "genre"], ["category", "genre"], ["subject", "genre"],
+    ["status", "status"], ["availability", "status"],
+    ["location", "location"], ["shelf", "location"],
+    ["duedate", "dueDate"], ["due", "dueDate"],
+    ["patronid", "patronId"], ["borrower", "patronId"]
+]);
+
+const headerKey = header => foldText(header).replace(/[^a-z0-9]/g, '');
+
+// ----------------------
+// Basic row checks shared by all importers; returns a list of reasons (empty when valid)
+export function checkRecord(book) {
+    const reasons = [];
+    if (!book.title?.trim()) reasons.push('title is required');
+    if (!book.author?.trim()) reasons.push('author is required');
+    if (book.year !== undefined && !Number.isInteger(book.year)) reasons.push(`year "${book.year}" is not a whole number`);
+    return reasons;
+}
+
+// ----------------------
+// Build a book from a flat record of catalog columns
+export function recordToBook(record) {
+    const { id, isbn, title, author, year, genre, status, location, dueDate, patronId } = record;
+    const blank = value => value === undefined || value === null || value === '';
+    const book = {};
+
+    if (!blank(id)) book.id = /^\d+$/.test(String(id)) ? Number(id) : id;
+    if (!blank(isbn)) book.isbn = String(isbn);
+    if (!blank(title)) book.title = String(title).trim();
+    if (!blank(author)) book.author = String(author).trim();
+    if (!blank(year)) book.year = /^-?\d+$/.test(String(year).trim()) ? Number(year) : year;
+    if (!blank(genre)) book.genre = String(genre).trim();
+    if (!blank(status) || !blank(location) || !blank(dueDate)) {
+        book.availability = Object.fromEntries(
+            Object.entries({ status, location, dueDate, patronId }).filter(([, value]) => !blank(value))
+        );
+    }
+    return book;
+}
+
+// ----------------------
+// Flatten a book into catalog columns. Status is the title's summary; location, dueDate and patronId
+// come from its copies, with the values of several copies joined by "; " (a checked-out copy's shelf is where it returns to).
+export function bookToRecord(book) {
+    const { id, isbn, title, author, year, genre, availability: { status } = {} } = book;
+    const copies = copiesOf(book);
+    const join = read => [...new Set(copies.map(read).filter(value => value !== undefined && value !== ''))].join('; ') || undefined;
+    return {
+        id, isbn, title, author, year, genre, status,
+        location: join(copy => copy.location ?? copy.shelfLocation),
+        dueDate: join(copy => copy.dueDate),
+        patronId: join(copy => copy.patronId)
+    };
+}
+
+// ----------------------
+// Collect valid books and rejected rows from parsed records
+function collect(entries) {
+    const books = [];
+    const rejected = [];
+    entries.forEach(({ row, record, error, book: prebuilt }) => {
+        const book = error ? null : prebuilt ?? recordToBook(record);
+        const reasons = error ? [error] : checkRecord(book);
+        if (reasons.length) {
+            rejected.push({ row, record, reasons });
+        } else {
+            books.push(book);
+        }
+    });
+    return { books, rejected };
+}
+
+// ======================
+// CSV
+// ======================
+
+// ----------------------
+// Split CSV text into rows of fields, honouring quotes, doubled quotes and newlines inside quotes
+export function parseCSVRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse a CSV catalog
+ * @param {string} text - CSV with a header row
+ * @param {Object} [options] - { mapping: { 'CSV header': 'bookField' }, delimiter }
+ * @returns {Object} { books, rejected }
+ */
+export function parseCSV(text, { mapping = {}, delimiter = ',' } = {}) {
+    const [header = [], ...rows] = parseCSVRows(text, delimiter);
+    const explicit = new Map(Object.entries(mapping).map(([from, to]) => [headerKey(from), to]));
+    const fields = header.map(name => explicit.get(headerKey(name)) ?? HEADER_ALIASES.get(headerKey(name)));
+
+    return collect(rows.map((cells, index) => {
+        const record = Object.fromEntries(
+            fields.map((field, column) => [field, cells[column]?.trim()]).filter(([field]) => field)
+        );
+        const error = cells.length !== header.length
+            ? `expected ${header.length} fields, found ${cells.length}`
+            : undefined;
+        return { row: index + 2, record, error }; // Row numbers count the header as row 1
+    }));
+}
+
+// ----------------------
+// Quote a CSV field when it contains the delimiter, quotes or newlines
+export const quoteCSV = (value, delimiter) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+// ----------------------
+// Serialise books as CSV with a header row
+export function toCSV(bookArray, { columns = catalogColumns, delimiter = ',' } = {}) {
+    const lines = bookArray.map(book => {
+        const record = bookToRecord(book);
+        return columns.map(column => quoteCSV(record[column], delimiter)).join(delimiter);
+    });
+    return `${[columns.join(delimiter), ...lines].join('\n')}\n`;
+}
+
+// ======================
+// JSON Lines
+// ======================
+
+// ----------------------
+// Parse one JSON Lines record; nested books and flat records are both accepted
+function parseJSONLine(line, row) {
+    try {
+        const value = JSON.parse(line);
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return { row, record: value, error: 'line is not a JSON object' };
+        }
+        // Nested availability and copies are kept whole so circulation details (checkedOutAt, renewals...) survive
+        const book = value.availability || value.copies
+            ? {
+                ...recordToBook(value),
+                ...(value.availability && { availability: { ...value.availability } }),
+                ...(value.copies && { copies: value.copies })
+            }
+            : undefined;
+        return { row, record: value, book };
+    } catch (err) {
+        return { row, record: line, error: `invalid JSON: ${err.message}` };
+    }
+}
+
+// ----------------------
+// Parse a whole JSON Lines document
+export function parseJSONLines(text) {
+    const entries = text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, row }) => parseJSONLine(line, row));
+    return collect(entries);
+}
+
+/**
+ * Stream a JSON Lines catalog chunk by chunk without holding it all in memory
+ * @param {AsyncIterable|Iterable} chunks - Text chunks (e.g. a Node read stream with setEncoding('utf8'))
+ * @yields {Object} { book } for valid lines or { rejected: { row, record, reasons } }
+ */
+export async function* readJSONLines(chunks) {
+    let buffer = '';
+    let row = 0;
+
+    const emit = function* (line) {
+        row++;
+        if (!line.trim()) return;
+        const { books: [book], rejected: [rejected] } = collect([parseJSONLine(line.trim(), row)]);
+        yield book ? { book } : { rejected };
+    };
+
+    for await (const chunk of chunks) {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) yield* emit(line);
+    }
+    yield* emit(buffer);
+}
+
+// ----------------------
+// Serialise books one JSON object per line
+export function* jsonLinesChunks(bookArray) {
+    for (const book of bookArray) {
+        yield `${JSON.stringify(book)}\n`;
+    }
+}
+
+export const toJSONLines = bookArray => [...jsonLinesChunks(bookArray)].join('');
+
+// ======================
+// MARC 21-style text records
+// ======================
+
+// ----------------------
+// MARC tags and subfields used for each catalog column
+const MARC_FIELDS = [
+    { tag: '001', column: 'id' },
+    { tag: '020', indicators: '\\\\', subfield: 'a', column: 'isbn' },
+    { tag: '100', indicators: '1\\', subfield: 'a', column: 'author' },
+    { tag: '245', indicators: '10', subfield: 'a', column: 'title' },
+    { tag: '264', indicators: '\\1', subfield: 'c', column: 'year' },
+    { tag: '650', indicators: '\\0', subfield: 'a', column: 'genre' },
+    { tag: '852', indicators: '\\\\', subfield: 'h', column: 'location' },
+    { tag: '952', indicators: '\\\\', subfield: 's', column: 'status' },
+    { tag: '952', indicators: '\\\\', subfield: 'd', column: 'dueDate' },
+    { tag: '952', indicators: '\\\\', subfield: 'p', column: 'patronId' }
+];
+
+// ----------------------
+// Serialise books as MARC-style text records
+export function toMARC(bookArray) {
+    return bookArray.map(book => {
+        const record = bookToRecord(book);
+        const lines = ['=LDR  00000nam a2200000 i 4500'];
+        const grouped = new Map(); // tag+indicators -> subfield text, so 952 $s and $d share a line
+
+        MARC_FIELDS.forEach(({ tag, indicators, subfield, column }) => {
+            const value = record[column];
+            if (value === undefined || value === null || value === '') return;
+            if (!subfield) {
+                lines.push(`=${tag}  ${value}`);
+                return;
+            }
+            const key = `${tag}  ${indicators}`;
+            grouped.set(key, `${grouped.get(key) ?? ''}$${subfield}${String(value).replaceAll('$', '{dollar}')}`);
+        });
+        grouped.forEach((subfields, key) => lines.push(`=${key}${subfields}`));
+        return lines.join('\n');
+    }).join('\n\n') + '\n';
+}
+
+// ----------------------
+// Parse MARC-style text records back into books
+export function parseMARC(text) {
+    const blocks = text.split(/\r?\n\s*\r?\n/).map(block => block.trim()).filter(Boolean);
+
+    return collect(blocks.map((block, index) => {
+        const record = {};
+        const unknown = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            const match = /^=(\w{3})  (.*)$/.exec(line.trim());
+            if (!match) {
+                unknown.push(line.trim());
+                return;
+            }
+            const [, tag, body] = match;
+            if (tag === 'LDR') return;
+            if (tag === '001') {
+                record.id = body;
+                return;
+            }
+            [...body.slice(2).matchAll(/\$(\w)([^$]*)/g)].forEach(([, code, value]) => {
+                const field = MARC_FIELDS.find(f => f.tag === tag && f.subfield === code);
+                if (field) record[field.column] = value.replaceAll('{dollar}', '$').trim();
+            });
+        });
+
+        const error = unknown.length ? `unrecognised line "${unknown[0]}"` : undefined;
+        return { row: index + 1, record, error };
+    }));
+}
+
+// ----------------------
+// Format registry used by the CLI and by file-extension detection
+export const formats = new Map([
+    ["csv", { parse: parseCSV, serialize: toCSV, extensions: ['.csv'] }],
+    ["jsonl", { parse: parseJSONLines, serialize: toJSONLines, extensions: ['.jsonl', '.ndjson'] }],
+    ["marc", { parse: parseMARC, serialize: toMARC, extensions: ['.mrk', '.marc', '.txt'] }]
+]);
+
+// ----------------------
+// Guess a format name from a file name
+export function detectFormat(fileName = '') {
+    const lower = fileName.toLowerCase();
+    return [...formats].find(([, { extensions }]) => extensions.some(ext => lower.endsWith(ext)))?.[0];
+}
@@ -0,0 +1,473 @@
+/**
+ * Internationalization for the Library Management System
+ *
+ * Message catalogs keyed by language, with `{name}` placeholders. A plural message is an object
+ * keyed by Intl.PluralRules category ('zero', 'one', 'two', 'few', 'many', 'other') and picks its
+ * form from the `count` parameter. Dates, relative due dates, amounts and title/author ordering
+ * come from the Intl APIs for the requested locale, so 'ar-EG' and 'ar-SA' share a catalog
+ * but still format numbers and dates their own way.
+ */
+
+import { memoize } from './memoize.js';
+import { daysBetween } from './dates.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// ----------------------
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// ----------------------
+// Map of language -> message catalog; English is the fallback for missing keys
+export const catalogs = new Map([
+    ["en", {
+        'availability.available': 'Available at {location}',
+        'availability.checkedOut': 'Checked out, due {date} ({relative})',
+        'availability.onHold': 'On hold at {location}',
+        'availability.inTransit': 'In transit between branches',
+        'availability.unknown': 'Availability unknown',
+        'availability.copies': { one: '{available} of {count} copy available', other: '{available} of {count} copies available' },
+        'location.unknown': 'unknown location',
+        'date.unknown': 'unknown date',
+        'book.summary': '{title} by {author} ({year}) - {availability}',
+        'book.by': '{title} by {author}',
+        'book.borrowedBy': 'borrowed by {name}',
+        'books.heading': 'Books',
+        'books.count': { one: '{count} book', other: '{count} books' },
+        'search.heading': 'Search Results ({criteria})',
+        'search.matching': 'Matching Books ({count})',
+        'search.none': 'No matching books found.',
+        'search.all': 'All Books',
+        'catalog.heading': 'Catalog ({count})',
+        'column.title': 'Title',
+        'column.author': 'Author',
+        'column.year': 'Year',
+        'column.availability': 'Availability',
+        'column.actions': 'Actions',
+        'query.heading': 'Query Results',
+        'query.showing': '{title}: showing {range} of {total}',
+        'search.ranked': 'Ranked Matches ({count})',
+        'search.placeholder': 'Search title, author or genre',
+        'search.label': 'Search the catalog',
+        'copies.heading': 'Copies of {title} ({count})',
+        'recommend.heading': 'Recommended',
+        'recommend.none': 'Nothing to recommend yet.',
+        'analysis.heading': 'Book Analysis',
+        'analysis.none': 'No books available for analysis.',
+        'analysis.decades': 'Publication decades',
+        'analysis.genres': 'Genres',
+        'analysis.prolific': 'Most prolific author: {author} ({books})',
+        'action.checkOut': 'Check out',
+        'action.return': 'Return',
+        'action.returnCopy': 'Return {barcode}',
+        'patron.label': 'Patron',
+        'patron.id': 'Patron id',
+        'criteria.title': 'Title: "{value}"',
+        'criteria.author': 'Author: "{value}"',
+        'criteria.genre': 'Genre: "{value}"',
+        'copy.unknownCondition': 'unknown condition',
+        'search.score': 'score {score}',
+        'query.more': 'More results: after:{cursor}',
+        'recommend.score': '(score {score})',
+        'import.heading': 'Import Report',
+        'import.dryRunHeading': 'Import Validation (dry run)',
+        'import.summary': 'Added: {added}, merged: {merged}, skipped duplicates: {skipped}, rejected: {rejected}',
+        'import.summaryDryRun': 'Would add: {added}, merged: {merged}, skipped duplicates: {skipped}, rejected: {rejected}',
+        'import.skipped': '"{title}" duplicates book {duplicateOf}',
+        'import.duplicate': '"{title}" duplicates book {duplicateOf} and would stop the import',
+        'import.row': 'Row {row}',
+        'import.untitled': 'untitled',
+        'fines.heading': 'Fine Statement: {name} (as of {date})',
+        'fines.item': {
+            one: '{title}: due {date}, {count} day overdue, fine {fine}',
+            other: '{title}: due {date}, {count} days overdue, fine {fine}'
+        },
+        'fines.accrued': 'Accrued on open loans',
+        'fines.assessed': 'Assessed on returns',
+        'fines.total': 'Total due',
+        'report.none': 'No data for this report.',
+        'event.bookAdded': { one: 'Added {count} book: {titles}', other: 'Added {count} books: {titles}' },
+        'event.bookUpdated': 'Updated "{title}"',
+        'event.bookUndone': 'Undid change #{seq} on "{title}"',
+        'event.checkedOut': '"{title}" checked out to {patronId}, due {date}',
+        'event.returned': '"{title}" returned',
+        'event.returnedHeld': '"{title}" returned, now held for {patronId}',
+        'event.renewed': '"{title}" renewed until {date}',
+        'event.holdPlaced': '{patronId} is #{position} in line for "{title}"',
+        'event.holdCancelled': '{patronId} left the hold queue for "{title}"',
+        'event.copyAdded': 'Copy {barcode} of "{title}" added at {branch}',
+        'event.copyWithdrawn': 'Copy {barcode} of "{title}" withdrawn',
+        'event.transferStarted': 'Copy {barcode} of "{title}" sent from {from} to {to}',
+        'event.transferReceived': 'Copy {barcode} of "{title}" arrived at {to}',
+        'event.transferReceivedHeld': 'Copy {barcode} of "{title}" arrived at {to}, held for {patronId}',
+        'event.historyPurged': { one: '{actor} purged {count} audit entry', other: '{actor} purged {count} audit entries' },
+        'event.forBook': 'for book {bookId}',
+        'event.statsChanged': 'Now {available} available, {checkedOut} checked out, {onHold} on hold',
+        'action.returned': 'Returned "{title}"',
+        'action.checkedOut': 'Checked out "{title}" to {patronId} - {availability}',
+        'notify.holdReady.subject': 'Your hold is ready: {title}',
+        'notify.holdReady.body': 'Hello {name}, "{title}" is waiting for you at {location}.',
+        'notify.dueSoon.subject': 'Due {relative}: {title}',
+        'notify.dueSoon.body': 'Hello {name}, "{title}" is due back {date} ({relative}). Renew or return it to avoid a fine.',
+        'notify.overdue.subject': 'Overdue: {title}',
+        'notify.overdue.body': {
+            one: 'Hello {name}, "{title}" was due {date} and is {count} day overdue. The fine so far is {fine}.',
+            other: 'Hello {name}, "{title}" was due {date} and is {count} days overdue. The fine so far is {fine}.'
+        },
+        'notify.fineAssessed.subject': 'Fine assessed: {amount}',
+        'notify.fineAssessed.body': 'Hello {name}, a fine of {amount} was added for returning "{title}" late. Your balance is {balance}.',
+        'stats.heading': 'Library Statistics',
+        'stats.total': 'Total Books',
+        'stats.available': 'Available Books',
+        'stats.checkedOut': 'Checked Out Books',
+        'stats.onHold': 'On Hold Books',
+        'stats.overdue': 'Overdue Books',
+        'stats.fines': 'Outstanding Fines',
+        'stats.copies': 'Copies',
+        'stats.branch': { one: '{branch}: {count} copy - {available} available, {checkedOut} out, {onHold} on hold, {inTransit} in transit', other: '{branch}: {count} copies - {available} available, {checkedOut} out, {onHold} on hold, {inTransit} in transit' }
+    }],
+    ["ar", {
+        'availability.available': 'متاح في {location}',
+        'availability.checkedOut': 'مُعار، موعد الإرجاع {date} ({relative})',
+        'availability.onHold': 'محجوز في {location}',
+        'availability.inTransit': 'قيد النقل بين الفروع',
+        'availability.unknown': 'حالة الإتاحة غير معروفة',
+        'availability.copies': {
+            zero: 'لا توجد نسخ',
+            one: '{available} من نسخة واحدة متاحة',
+            two: '{available} من نسختين متاحة',
+            few: '{available} من {count} نسخ متاحة',
+            many: '{available} من {count} نسخة متاحة',
+            other: '{available} من {count} نسخة متاحة'
+        },
+        'location.unknown': 'موقع غير معروف',
+        'date.unknown': 'تاريخ غير معروف',
+        'book.summary': '{title} تأليف {author} ({year}) - {availability}',
+        'book.by': '{title} تأليف {author}',
+        'book.borrowedBy': 'مُعار إلى {name}',
+        'books.heading': 'الكتب',
+        'books.count': { zero: 'لا توجد كتب', one: 'كتاب واحد', two: 'كتابان', few: '{count} كتب', many: '{count} كتابًا', other: '{count} كتاب' },
+        'search.heading': 'نتائج البحث ({criteria})',
+        'search.matching': 'الكتب المطابقة ({count})',
+        'search.none': 'لم يتم العثور على كتب مطابقة.',
+        'search.all': 'كل الكتب',
+        'catalog.heading': 'الفهرس ({count})',
+        'column.title': 'العنوان',
+        'column.author': 'المؤلف',
+        'column.year': 'السنة',
+        'column.availability': 'الإتاحة',
+        'column.actions': 'الإجراءات',
+        'query.heading': 'نتائج الاستعلام',
+        'query.showing': '{title}: عرض {range} من {total}',
+        'search.ranked': 'أفضل النتائج ({count})',
+        'search.placeholder': 'ابحث في العنوان أو المؤلف أو التصنيف',
+        'search.label': 'البحث في الفهرس',
+        'copies.heading': 'نسخ {title} ({count})',
+        'recommend.heading': 'مقترحات',
+        'recommend.none': 'لا توجد اقتراحات بعد.',
+        'analysis.heading': 'تحليل الكتب',
+        'analysis.none': 'لا توجد كتب لتحليلها.',
+        'analysis.decades': 'عقود النشر',
+        'analysis.genres': 'التصنيفات',
+        'analysis.prolific': 'أكثر المؤلفين إنتاجًا: {author} ({books})',
+        'action.checkOut': 'إعارة',
+        'action.return': 'إرجاع',
+        'action.returnCopy': 'إرجاع {barcode}',
+        'patron.label': 'القارئ',
+        'patron.id': 'رقم القارئ',
+        'criteria.title': 'العنوان: "{value}"',
+        'criteria.author': 'المؤلف: "{value}"',
+        'criteria.genre': 'التصنيف: "{value}"',
+        'copy.unknownCondition': 'حالة غير معروفة',
+        'search.score': 'الدرجة {score}',
+        'query.more': 'مزيد من النتائج: after:{cursor}',
+        'recommend.score': '(الدرجة {score})',
+        'import.heading': 'تقرير الاستيراد',
+        'import.dryRunHeading': 'التحقق من الاستيراد (تجربة)',
+        'import.summary': 'أُضيف: {added}، دُمج: {merged}، تكرارات متجاهلة: {skipped}، مرفوض: {rejected}',
+        'import.summaryDryRun': 'سيُضاف: {added}، سيُدمج: {merged}، تكرارات متجاهلة: {skipped}، مرفوض: {rejected}',
+        'import.skipped': '"{title}" مكرر للكتاب {duplicateOf}',
+        'import.duplicate': '"{title}" مكرر للكتاب {duplicateOf} وسيوقف الاستيراد',
+        'import.row': 'الصف {row}',
+        'import.untitled': 'بلا عنوان',
+        'fines.heading': 'كشف الغرامات: {name} (حتى {date})',
+        'fines.item': {
+            one: '{title}: موعد الإرجاع {date}، متأخر يومًا واحدًا، الغرامة {fine}',
+            two: '{title}: موعد الإرجاع {date}، متأخر يومين، الغرامة {fine}',
+            few: '{title}: موعد الإرجاع {date}، متأخر {count} أيام، الغرامة {fine}',
+            many: '{title}: موعد الإرجاع {date}، متأخر {count} يومًا، الغرامة {fine}',
+            other: '{title}: موعد الإرجاع {date}، متأخر {count} يوم، الغرامة {fine}'
+        },
+        'fines.accrued': 'المستحق على الإعارات الحالية',
+        'fines.assessed': 'المفروض عند الإرجاع',
+        'fines.total': 'الإجمالي المستحق',
+        'report.none': 'لا توجد بيانات لهذا التقرير.',
+        'event.bookAdded': {
+            one: 'أُضيف كتاب واحد: {titles}',
+            two: 'أُضيف كتابان: {titles}',
+            few: 'أُضيفت {count} كتب: {titles}',
+            many: 'أُضيف {count} كتابًا: {titles}',
+            other: 'أُضيف {count} كتاب: {titles}'
+        },
+        'event.bookUpdated': 'عُدّل "{title}"',
+        'event.bookUndone': 'أُلغي التغيير رقم {seq} على "{title}"',
+        'event.checkedOut': 'أُعير "{title}" إلى {patronId}، موعد الإرجاع {date}',
+        'event.returned': 'أُرجع "{title}"',
+        'event.returnedHeld': 'أُرجع "{title}"، وهو الآن محجوز لـ {patronId}',
+        'event.renewed': 'جُددت إعارة "{title}" حتى {date}',
+        'event.holdPlaced': '{patronId} رقم {position} في قائمة انتظار "{title}"',
+        'event.holdCancelled': 'غادر {patronId} قائمة انتظار "{title}"',
+        'event.copyAdded': 'أُضيفت النسخة {barcode} من "{title}" في {branch}',
+        'event.copyWithdrawn': 'سُحبت النسخة {barcode} من "{title}"',
+        'event.transferStarted': 'أُرسلت النسخة {barcode} من "{title}" من {from} إلى {to}',
+        'event.transferReceived': 'وصلت النسخة {barcode} من "{title}" إلى {to}',
+        'event.transferReceivedHeld': 'وصلت النسخة {barcode} من "{title}" إلى {to}، محجوزة لـ {patronId}',
+        'event.historyPurged': {
+            one: 'حذف {actor} سجل تدقيق واحدًا',
+            two: 'حذف {actor} سجلي تدقيق',
+            few: 'حذف {actor} {count} سجلات تدقيق',
+            many: 'حذف {actor} {count} سجلًا من سجلات التدقيق',
+            other: 'حذف {actor} {count} سجل تدقيق'
+        },
+        'event.forBook': 'للكتاب {bookId}',
+        'event.statsChanged': 'الآن {available} متاحة، {checkedOut} مُعارة، {onHold} محجوزة',
+        'action.returned': 'أُرجع "{title}"',
+        'action.checkedOut': 'أُعير "{title}" إلى {patronId} - {availability}',
+        'notify.holdReady.subject': 'حجزك جاهز: {title}',
+        'notify.holdReady.body': 'مرحبًا {name}، الكتاب "{title}" بانتظارك في {location}.',
+        'notify.dueSoon.subject': 'موعد الإرجاع {relative}: {title}',
+        'notify.dueSoon.body': 'مرحبًا {name}، موعد إرجاع "{title}" هو {date} ({relative}). جدّد الإعارة أو أعد الكتاب لتجنب الغرامة.',
+        'notify.overdue.subject': 'متأخر: {title}',
+        'notify.overdue.body': {
+            one: 'مرحبًا {name}، كان موعد إرجاع "{title}" في {date} وقد تأخر يومًا واحدًا. الغرامة حتى الآن {fine}.',
+            two: 'مرحبًا {name}، كان موعد إرجاع "{title}" في {date} وقد تأخر يومين. الغرامة حتى الآن {fine}.',
+            few: 'مرحبًا {name}، كان موعد إرجاع "{title}" في {date} وقد تأخر {count} أيام. الغرامة حتى الآن {fine}.',
+            many: 'مرحبًا {name}، كان موعد إرجاع "{title}" في {date} وقد تأخر {count} يومًا. الغرامة حتى الآن {fine}.',
+            other: 'مرحبًا {name}، كان موعد إرجاع "{title}" في {date} وقد تأخر {count} يوم. الغرامة حتى الآن {fine}.'
+        },
+        'notify.fineAssessed.subject': 'غرامة جديدة: {amount}',
+        'notify.fineAssessed.body': 'مرحبًا {name}، أضيفت غرامة قدرها {amount} بسبب التأخر في إرجاع "{title}". رصيدك الآن {balance}.',
+        'stats.heading': 'إحصائيات المكتبة',
+        'stats.total': 'إجمالي الكتب',
+        'stats.available': 'الكتب المتاحة',
+        'stats.checkedOut': 'الكتب المُعارة',
+        'stats.onHold': 'الكتب المحجوزة',
+        'stats.overdue': 'الكتب المتأخرة',
+        'stats.fines': 'الغرامات المستحقة',
+        'stats.copies': 'النسخ',
+        'stats.branch': '{branch}: النسخ {count} - {available} متاحة، {checkedOut} مُعارة، {onHold} محجوزة، {inTransit} قيد النقل'
+    }],
+    ["ru", {
+        'availability.available': 'В наличии, полка {location}',
+        'availability.checkedOut': 'Выдана, вернуть {date} ({relative})',
+        'availability.onHold': 'Отложена, полка {location}',
+        'availability.inTransit': 'В пути между филиалами',
+        'availability.unknown': 'Наличие неизвестно',
+        'availability.copies': { one: 'доступно {available} из {count} экземпляра', other: 'доступно {available} из {count} экземпляров' },
+        'location.unknown': 'полка неизвестна',
+        'date.unknown': 'дата неизвестна',
+        'book.summary': '«{title}», {author} ({year}) — {availability}',
+        'book.by': '«{title}», {author}',
+        'book.borrowedBy': 'у читателя {name}',
+        'books.heading': 'Книги',
+        'books.count': { one: '{count} книга', few: '{count} книги', many: '{count} книг', other: '{count} книги' },
+        'search.heading': 'Результаты поиска ({criteria})',
+        'search.matching': 'Найденные книги ({count})',
+        'search.none': 'Подходящих книг не найдено.',
+        'search.all': 'Все книги',
+        'catalog.heading': 'Каталог ({count})',
+        'column.title': 'Название',
+        'column.author': 'Автор',
+        'column.year': 'Год',
+        'column.availability': 'Наличие',
+        'column.actions': 'Действия',
+        'query.heading': 'Результаты запроса',
+        'query.showing': '{title}: показаны {range} из {total}',
+        'search.ranked': 'Лучшие совпадения ({count})',
+        'search.placeholder': 'Поиск по названию, автору или жанру',
+        'search.label': 'Поиск по каталогу',
+        'copies.heading': 'Экземпляры «{title}» ({count})',
+        'recommend.heading': 'Рекомендации',
+        'recommend.none': 'Пока нечего порекомендовать.',
+        'analysis.heading': 'Анализ книг',
+        'analysis.none': 'Нет книг для анализа.',
+        'analysis.decades': 'Десятилетия публикации',
+        'analysis.genres': 'Жанры',
+        'analysis.prolific': 'Самый плодовитый автор: {author} ({books})',
+        'action.checkOut': 'Выдать',
+        'action.return': 'Вернуть',
+        'action.returnCopy': 'Вернуть {barcode}',
+        'patron.label': 'Читатель',
+        'patron.id': 'Номер читателя',
+        'criteria.title': 'Название: «{value}»',
+        'criteria.author': 'Автор: «{value}»',
+        'criteria.genre': 'Жанр: «{value}»',
+        'copy.unknownCondition': 'состояние неизвестно',
+        'search.score': 'оценка {score}',
+        'query.more': 'Ещё результаты: after:{cursor}',
+        'recommend.score': '(оценка {score})',
+        'import.heading': 'Отчёт об импорте',
+        'import.dryRunHeading': 'Проверка импорта (пробный запуск)',
+        'import.summary': 'Добавлено: {added}, объединено: {merged}, пропущено дубликатов: {skipped}, отклонено: {rejected}',
+        'import.summaryDryRun': 'Будет добавлено: {added}, объединено: {merged}, пропущено дубликатов: {skipped}, отклонено: {rejected}',
+        'import.skipped': '«{title}» повторяет книгу {duplicateOf}',
+        'import.duplicate': '«{title}» повторяет книгу {duplicateOf} и остановит импорт',
+        'import.row': 'Строка {row}',
+        'import.untitled': 'без названия',
+        'fines.heading': 'Выписка о штрафах: {name} (на {date})',
+        'fines.item': {
+            one: '{title}: вернуть {date}, просрочка {count} день, штраф {fine}',
+            few: '{title}: вернуть {date}, просрочка {count} дня, штраф {fine}',
+            many: '{title}: вернуть {date}, просрочка {count} дней, штраф {fine}',
+            other: '{title}: вернуть {date}, просрочка {count} дня, штраф {fine}'
+        },
+        'fines.accrued': 'Начислено по текущим выдачам',
+        'fines.assessed': 'Назначено при возврате',
+        'fines.total': 'Итого к оплате',
+        'report.none': 'Нет данных для этого отчёта.',
+        'event.bookAdded': {
+            one: 'Добавлена {count} книга: {titles}',
+            few: 'Добавлены {count} книги: {titles}',
+            many: 'Добавлено {count} книг: {titles}',
+            other: 'Добавлено {count} книги: {titles}'
+        },
+        'event.bookUpdated': 'Изменена «{title}»',
+        'event.bookUndone': 'Отменено изменение №{seq} в «{title}»',
+        'event.checkedOut': '«{title}» выдана читателю {patronId}, вернуть {date}',
+        'event.returned': '«{title}» возвращена',
+        'event.returnedHeld': '«{title}» возвращена и отложена для {patronId}',
+        'event.renewed': '«{title}» продлена до {date}',
+        'event.holdPlaced': '{patronId} — №{position} в очереди на «{title}»',
+        'event.holdCancelled': '{patronId} больше не в очереди на «{title}»',
+        'event.copyAdded': 'Экземпляр {barcode} «{title}» добавлен в {branch}',
+        'event.copyWithdrawn': 'Экземпляр {barcode} «{title}» списан',
+        'event.transferStarted': 'Экземпляр {barcode} «{title}» отправлен из {from} в {to}',
+        'event.transferReceived': 'Экземпляр {barcode} «{title}» прибыл в {to}',
+        'event.transferReceivedHeld': 'Экземпляр {barcode} «{title}» прибыл в {to} и отложен для {patronId}',
+        'event.historyPurged': {
+            one: '{actor} удаляет {count} запись журнала',
+            few: '{actor} удаляет {count} записи журнала',
+            many: '{actor} удаляет {count} записей журнала',
+            other: '{actor} удаляет {count} записи журнала'
+        },
+        'event.forBook': 'для книги {bookId}',
+        'event.statsChanged': 'Сейчас в наличии {available}, выдано {checkedOut}, отложено {onHold}',
+        'action.returned': '«{title}» возвращена',
+        'action.checkedOut': '«{title}» выдана читателю {patronId} - {availability}',
+        'notify.holdReady.subject': 'Ваша бронь готова: {title}',
+        'notify.holdReady.body': 'Здравствуйте, {name}! Книга «{title}» ждёт вас, полка {location}.',
+        'notify.dueSoon.subject': 'Срок возврата {relative}: {title}',
+        'notify.dueSoon.body': 'Здравствуйте, {name}! Книгу «{title}» нужно вернуть {date} ({relative}). Продлите выдачу или верните книгу, чтобы избежать штрафа.',
+        'notify.overdue.subject': 'Просрочено: {title}',
+        'notify.overdue.body': {
+            one: 'Здравствуйте, {name}! Книгу «{title}» нужно было вернуть {date}, просрочка {count} день. Штраф на сегодня: {fine}.',
+            few: 'Здравствуйте, {name}! Книгу «{title}» нужно было вернуть {date}, просрочка {count} дня. Штраф на сегодня: {fine}.',
+            many: 'Здравствуйте, {name}! Книгу «{title}» нужно было вернуть {date}, просрочка {count} дней. Штраф на сегодня: {fine}.',
+            other: 'Здравствуйте, {name}! Книгу «{title}» нужно было вернуть {date}, просрочка {count} дня. Штраф на сегодня: {fine}.'
+        },
+        'notify.fineAssessed.subject': 'Начислен штраф: {amount}',
+        'notify.fineAssessed.body': 'Здравствуйте, {name}! За несвоевременный возврат «{title}» начислен штраф {amount}. Ваш баланс: {balance}.',
+        'stats.heading': 'Статистика библиотеки',
+        'stats.total': 'Всего книг',
+        'stats.available': 'В наличии',
+        'stats.checkedOut': 'Выдано',
+        'stats.onHold': 'Отложено',
+        'stats.overdue': 'Просрочено',
+        'stats.fines': 'Неоплаченные штрафы',
+        'stats.copies': 'Экземпляры',
+        'stats.branch': {
+            one: '{branch}: {count} экземпляр — в наличии {available}, выдано {checkedOut}, отложено {onHold}, в пути {inTransit}',
+            few: '{branch}: {count} экземпляра — в наличии {available}, выдано {checkedOut}, отложено {onHold}, в пути {inTransit}',
+            other: '{branch}: {count} экземпляров — в наличии {available}, выдано {checkedOut}, отложено {onHold}, в пути {inTransit}'
+        }
+    }]
+]);
+
+// ----------------------
+// Shipped language for a locale tag: 'ar-EG' -> 'ar'; anything unknown falls back to English
+export function resolveLanguage(locale = DEFAULT_LOCALE) {
+    const [language] = String(locale).toLowerCase().split('-');
+    return catalogs.has(language) ? language : DEFAULT_LOCALE;
+}
+
+// ----------------------
+// Locale tag that is safe to give Intl: a well-formed tag of a shipped language, otherwise DEFAULT_LOCALE
+// (a malformed tag such as '?lang=en_US!' would make Intl throw a RangeError)
+export function resolveLocale(locale = DEFAULT_LOCALE) {
+    try {
+        const [canonical] = Intl.getCanonicalLocales(locale);
+        return catalogs.has(canonical.toLowerCase().split('-')[0]) ? canonical : DEFAULT_LOCALE;
+    } catch {
+        return DEFAULT_LOCALE;
+    }
+}
+
+/**
+ * Build the translator and formatters for one locale
+ * @param {string} [requested] - BCP 47 tag such as 'en', 'ar-EG' or 'ru'; malformed or unsupported tags use DEFAULT_LOCALE
+ * @returns {Object} { locale, language, dir, t, formatDate, formatRelativeDays, formatNumber, formatAmount, compare, sortBy }
+ */
+function buildI18n(requested = DEFAULT_LOCALE) {
+    const locale = resolveLocale(requested);
+    const language = resolveLanguage(locale);
+    const messages = catalogs.get(language);
+    const fallback = catalogs.get(DEFAULT_LOCALE);
+    const plurals = new Intl.PluralRules(locale);
+    const dates = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' });
+    const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+    const amounts = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const numbers = new Intl.NumberFormat(locale, { useGrouping: false }); // Counts and years: "1999", not "1,999"
+    const collator = new Intl.Collator(locale, { numeric: true, sensitivity: 'base' });
+
+    // Look a message up, pick its plural form and fill in the placeholders; unknown keys come back as-is
+    const t = (key, params = {}) => {
+        let message = messages[key] ?? fallback[key] ?? key;
+        if (typeof message === 'object') message = message[plurals.select(params.count ?? 0)] ?? message.other;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return typeof value === 'number' ? numbers.format(value) : String(value);
+        });
+    };
+
+    // ISO calendar date -> localized date; dates are read as UTC so they never shift a day
+    const formatDate = iso => (/^\d{4}-\d{2}-\d{2}$/.test(iso ?? '') ? dates.format(new Date(`${iso}T00:00:00Z`)) : t('date.unknown'));
+
+    return {
+        locale,
+        language,
+        dir: RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr',
+        t,
+        formatDate,
+        // "in 3 days", "tomorrow", "2 days ago" for an ISO date, measured from `asOf`
+        formatRelativeDays: (iso, asOf = new Date()) => relative.format(daysBetween(asOf, iso), 'day'),
+        formatNumber: value => numbers.format(value),
+        formatAmount: value => amounts.format(value),
+        compare: collator.compare,
+        // Copy of `items` ordered by a text field with the locale's collation ("Ёж" next to "Ель", "é" next to "e")
+        sortBy: (items, field) => [...items].sort((a, b) => collator.compare(String(a[field] ?? ''), String(b[field] ?? '')))
+    };
+}
+
+// ----------------------
+// Intl objects are costly to build, so each locale's translator is made once and reused
+export const i18nFor = memoize(buildI18n, { maxSize: 20 });
+
+/**
+ * Describe a book's (or copy's) availability in a locale
+ * @param {Object} availability - { status, location, dueDate }
+ * @param {Object} [options] - { locale, asOf } where `asOf` is the date "due in 3 days" counts from
+ * @returns {string} e.g. "Checked out, due Dec 1, 2024 (in 3 days)"
+ */
+export function describeAvailability(availability, { locale = DEFAULT_LOCALE, asOf = new Date() } = {}) {
+    const { t, formatDate, formatRelativeDays } = i18nFor(locale);
+    const { status, location = t('location.unknown'), dueDate } = availability ?? {};
+    switch (status) {
+        case 'available': return t('availability.available', { location });
+        case 'checked_out':
+            return t('availability.checkedOut', { date: formatDate(dueDate), relative: dueDate ? formatRelativeDays(dueDate, asOf) : t('date.unknown') });
+        case 'on_hold': return t('availability.onHold', { location });
+        case 'in_transit': return t('availability.inTransit');
+        default: return t('availability.unknown');
+    }
+}
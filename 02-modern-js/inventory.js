@@ -0,0 +1,73 @@
+/**
+ * Copy-level inventory helpers for the Library Management System
+ *
+ * A book record describes a title. Its physical copies live in `book.copies`:
+ *   { barcode, branch, location, condition, status, ...loan or hold details }
+ * Each copy uses the same circulation fields as a single-copy `availability`
+ * (patronId, dueDate, heldFor, shelfLocation...), plus `transfer` while in transit.
+ * For books with copies, `availability` is a summary derived from them; books without
+ * copies keep the original single-copy `availability` record.
+ */
+
+// ----------------------
+// Physical condition grades, best first
+export const copyConditions = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// ----------------------
+// Summary status precedence: a title is as available as its most available copy
+const STATUS_PRECEDENCE = ['available', 'on_hold', 'checked_out', 'in_transit'];
+
+// ----------------------
+// Circulation records of a book: its copies, or the single availability record of a copy-less book
+export function copiesOf(book) {
+    if (book.copies) return book.copies;
+    return book.availability ? [book.availability] : [];
+}
+
+// ----------------------
+// Branches holding at least one copy of a book
+export function branchesOf(book) {
+    return [...new Set(copiesOf(book).map(({ branch }) => branch).filter(Boolean))];
+}
+
+// ----------------------
+// Is any copy of the book in `status`, optionally at one branch?
+export function hasCopy(book, status, branch) {
+    return copiesOf(book).some(copy => copy.status === status && (branch === undefined || copy.branch === branch));
+}
+
+/**
+ * Derive a title-level availability record from its copies
+ * @param {Array} copies - Copy records
+ * @returns {Object|undefined} { status, location, dueDate, availableCopies, totalCopies }, or undefined without copies
+ */
+export function summarizeCopies(copies) {
+    if (!copies.length) return undefined;
+
+    const status = STATUS_PRECEDENCE.find(candidate => copies.some(copy => copy.status === candidate));
+    const representative = copies.find(copy => copy.status === status);
+    const dueDates = copies.filter(copy => copy.status === 'checked_out').map(({ dueDate }) => dueDate).filter(Boolean).sort();
+    const summary = {
+        status,
+        location: representative?.location,
+        dueDate: status === 'checked_out' ? dueDates[0] : undefined,
+        availableCopies: copies.filter(copy => copy.status === 'available').length,
+        totalCopies: copies.length
+    };
+    return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Count copies per branch and status across a catalog
+ * @param {Array} bookArray - Book records
+ * @returns {Object} { [branch]: { copies, available, checkedOut, onHold, inTransit } }
+ */
+export function countByBranch(bookArray) {
+    const keys = { available: 'available', checked_out: 'checkedOut', on_hold: 'onHold', in_transit: 'inTransit' };
+    return bookArray.flatMap(book => book.copies ?? []).reduce((acc, { branch, status }) => {
+        acc[branch] ??= { copies: 0, available: 0, checkedOut: 0, onHold: 0, inTransit: 0 };
+        acc[branch].copies++;
+        if (keys[status]) acc[branch][keys[status]]++;
+        return acc;
+    }, {});
+}
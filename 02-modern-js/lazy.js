@@ -0,0 +1,173 @@
+/**
+ * Lazy sequence toolkit for the Library Management System
+ *
+ * The sync helpers take any iterable (arrays, Sets, bookTitleGenerator...) and pull items only as
+ * they are consumed. The *Async variants also accept async iterables - readJSONLines over a file
+ * stream, or `paginate` over a paged source - so a large catalog can be filtered, chunked and
+ * formatted (e.g. with createBookFormatter) without ever being held in memory at once.
+ *
+ *   const entries = readJSONLines(createReadStream('catalog.jsonl', 'utf8'));
+ *   const books = mapAsync(filterAsync(entries, ({ book }) => book), ({ book }) => book);
+ *   const formatPage = createBookFormatter(createBookSummary);
+ *   for await (const page of chunkAsync(books, 50)) formatPage(page).forEach(line => console.log(line));
+ */
+
+// ----------------------
+// Lazily apply fn(item, index) to every item
+export function* map(iterable, fn) {
+    let index = 0;
+    for (const item of iterable) yield fn(item, index++);
+}
+
+// ----------------------
+// Lazily keep the items for which predicate(item, index) is truthy
+export function* filter(iterable, predicate) {
+    let index = 0;
+    for (const item of iterable) {
+        if (predicate(item, index++)) yield item;
+    }
+}
+
+// ----------------------
+// The first `count` items; stops pulling from the source as soon as they are taken
+export function* take(iterable, count) {
+    if (count <= 0) return;
+    let taken = 0;
+    for (const item of iterable) {
+        yield item;
+        if (++taken >= count) return;
+    }
+}
+
+// ----------------------
+// Arrays of `size` items (the last may be shorter)
+export function* chunk(iterable, size) {
+    assertChunkSize(size);
+    let batch = [];
+    for (const item of iterable) {
+        batch.push(item);
+        if (batch.length === size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length) yield batch;
+}
+
+// ----------------------
+// Tuples of the n-th item of each iterable, ending with the shortest
+export function* zip(...iterables) {
+    const iterators = iterables.map(iterable => iterable[Symbol.iterator]());
+    try {
+        while (iterators.length) {
+            const results = iterators.map(iterator => iterator.next());
+            if (results.some(({ done }) => done)) return;
+            yield results.map(({ value }) => value);
+        }
+    } finally {
+        iterators.forEach(iterator => iterator.return?.());
+    }
+}
+
+// ----------------------
+// Group items into a Map of key -> items; consumes the whole iterable
+export function groupBy(iterable, keyFn) {
+    const groups = new Map();
+    let index = 0;
+    for (const item of iterable) {
+        const key = keyFn(item, index++);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+// ======================
+// Async variants: sources may be async iterables or plain iterables; callbacks may return promises
+// ======================
+
+export async function* mapAsync(source, fn) {
+    let index = 0;
+    for await (const item of source) yield await fn(item, index++);
+}
+
+export async function* filterAsync(source, predicate) {
+    let index = 0;
+    for await (const item of source) {
+        if (await predicate(item, index++)) yield item;
+    }
+}
+
+export async function* takeAsync(source, count) {
+    if (count <= 0) return;
+    let taken = 0;
+    for await (const item of source) {
+        yield item;
+        if (++taken >= count) return;
+    }
+}
+
+export async function* chunkAsync(source, size) {
+    assertChunkSize(size);
+    let batch = [];
+    for await (const item of source) {
+        batch.push(item);
+        if (batch.length === size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length) yield batch;
+}
+
+export async function* zipAsync(...sources) {
+    const iterators = sources.map(source => (source[Symbol.asyncIterator] ?? source[Symbol.iterator]).call(source));
+    try {
+        while (iterators.length) {
+            const results = await Promise.all(iterators.map(iterator => iterator.next()));
+            if (results.some(({ done }) => done)) return;
+            yield results.map(({ value }) => value);
+        }
+    } finally {
+        await Promise.all(iterators.map(iterator => iterator.return?.()));
+    }
+}
+
+export async function groupByAsync(source, keyFn) {
+    const groups = new Map();
+    let index = 0;
+    for await (const item of source) {
+        const key = await keyFn(item, index++);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+// ----------------------
+// Gather an async (or sync) sequence into an array
+export async function collectAsync(source) {
+    const items = [];
+    for await (const item of source) items.push(item);
+    return items;
+}
+
+/**
+ * Read a paged source one page at a time, yielding its items
+ * @param {Function} fetchPage - ({ limit, cursor }) => { items, nextCursor } (or a promise of it),
+ *                               e.g. a LibraryManager#query call or a request to a remote catalog
+ * @param {Object} [options] - { pageSize, cursor } where `cursor` resumes from an earlier page
+ * @yields {*} Items, requesting the next page only once the previous one is used up
+ */
+export async function* paginate(fetchPage, { pageSize = 100, cursor } = {}) {
+    let next = cursor;
+    do {
+        const { items, nextCursor } = await fetchPage({ limit: pageSize, cursor: next });
+        yield* items;
+        next = nextCursor;
+    } while (next);
+}
+
+function assertChunkSize(size) {
+    if (!Number.isInteger(size) || size < 1) throw new RangeError(`Chunk size must be a positive integer, not ${size}`);
+}
@@ -3,34 +3,200 @@
  */
 
 import { books, categoryDescriptions, uniqueAuthors, filterBooksByStatus, groupBooksByGenre, createBookSummary } from './data.js';
+import { LibraryError, BookNotFoundError, CopyNotFoundError, CirculationError, PatronNotFoundError, DuplicateBookError, ValidationError, VersionConflictError } from './errors.js';
+import { toISODate, addDays } from './dates.js';
+import { OverdueEngine } from './fines.js';
+import { SCHEMA_VERSION, migrateSnapshot } from './storage.js';
+import { SearchIndex, foldText } from './search.js';
+import { runQuery, parseQuery } from './query.js';
+import { bookSchema, validateBook, normalizeBook } from './schema.js';
+import { Emitter } from './events.js';
+import { copiesOf, hasCopy, summarizeCopies, countByBranch } from './inventory.js';
+import { memoize } from './memoize.js';
+import { paginate } from './lazy.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { recommendForBook, recommendForPatron } from './recommend.js';
+import { bindUser } from './access.js';
 
 /**
  * LibraryManager class demonstrating modern JavaScript class features
  */
 export class LibraryManager {
     #statistics = {}; // Private field for storing statistics
+    #holds = new Map(); // bookId -> FIFO queue of patron ids
+    #audit = []; // Append-only log of catalog edits, oldest first
+    #events = new Emitter();
+    #clock;
+    #loanDays;
+    #maxRenewals;
+    #patrons;
+    #overdue;
+    #store;
+    #index;
+    #duplicates;
+    #schema;
+    #locale;
+
+    // Accepts (books, options) or just (options); with a `store`, saved data wins over the seed books
+    constructor(initialBooks = [], options = {}) {
+        if (!Array.isArray(initialBooks)) [initialBooks, options] = [[], initialBooks];
+        const { clock = () => new Date(), loanDays = 14, maxRenewals = 2, patrons, finePolicy = {}, store, migrations, searchBoosts, duplicates = 'error', schema = bookSchema, locale = DEFAULT_LOCALE } = options;
 
-    constructor(initialBooks = []) {
         this.books = [...initialBooks]; // Shallow copy using spread
+        this.#patrons = patrons; // Optional PatronRegistry enforcing limits and recording loans
+        this.#overdue = new OverdueEngine({ clock, ...finePolicy });
+        this.#clock = clock;
+        this.#loanDays = loanDays;
+        this.#maxRenewals = maxRenewals;
+        this.#store = store;
+        this.#duplicates = duplicates; // 'skip' | 'merge' | 'error' for books matching an existing one
+        this.#schema = schema;
+        this.#locale = locale; // Collation for query sorting; also what the ui.js functions should be given
+        this.#load(migrations);
+        this.books.forEach(book => this.#syncAvailability(book));
+        this.#index = new SearchIndex(this.books, { boosts: searchBoosts });
         this.#updateStatistics();
     }
 
     // ----------------------
-    // Add multiple books using rest parameter
+    // Add multiple books using rest parameter; arrays and importer results ({ books, rejected }) are accepted too.
+    // Throws ValidationError listing every invalid field before anything is added.
     addBooks(...newBooks) {
-        this.books.push(...newBooks);
-        this.#updateStatistics();
+        return this.importBooks(newBooks, { onInvalid: 'throw' });
     }
 
     // ----------------------
-    // Search books by title, author, or genre
+    // Add books with a duplicate policy; invalid books are rejected into the report (or thrown with onInvalid: 'throw').
+    // With `dryRun` nothing changes and only the report is returned; under the 'error' policy it lists every
+    // duplicate in `report.duplicates` instead of throwing at the first. Merges are versioned and audited like updateBook.
+    importBooks(source, { duplicates = this.#duplicates, dryRun = false, onInvalid = 'reject', actor = 'system' } = {}) {
+        const entries = Array.isArray(source) ? source : [source];
+        const incoming = entries
+            .flatMap(entry => (Array.isArray(entry) ? entry : entry?.books ?? [entry]))
+            .map(book => {
+                const normalized = normalizeBook(book);
+                if (normalized.copies?.length) {
+                    normalized.copies.forEach(copy => {
+                        copy.status ??= 'available';
+                    });
+                    normalized.availability = summarizeCopies(normalized.copies);
+                } else {
+                    normalized.availability = { ...normalized.availability };
+                    normalized.availability.status ??= 'available'; // New copies start on the shelf
+                }
+                return normalized;
+            });
+        const rejected = entries.flatMap(entry => entry?.rejected ?? []);
+        const report = { added: [], merged: [], skipped: [], duplicates: [], rejected };
+        const invalid = []; // [{ index, book, errors }]
+
+        // Plan the whole batch first so neither errors nor an 'error' policy leave a half-applied import
+        const known = new Map();
+        const usedIds = new Set(this.books.map(({ id }) => id));
+        const usedBarcodes = new Set(this.books.flatMap(book => (book.copies ?? []).map(({ barcode }) => barcode)));
+        this.books.forEach(book => duplicateKeys(book).forEach(key => known.set(key, book)));
+
+        const plan = incoming.flatMap((book, index) => {
+            const errors = validateBook(book, this.#schema, '', { clock: this.#clock });
+            const existing = errors.length ? undefined : duplicateKeys(book).map(key => known.get(key)).find(Boolean);
+            if (existing && duplicates === 'error') {
+                if (!dryRun) throw new DuplicateBookError(book, existing);
+                report.duplicates.push({ book, duplicateOf: existing.id ?? existing.title });
+                return [];
+            }
+            if (existing && duplicates === 'merge') {
+                const mergeErrors = validateBook({ ...mergeImported(existing, book), id: existing.id }, this.#schema, '', { clock: this.#clock });
+                if (mergeErrors.length) {
+                    invalid.push({ index, book, errors: mergeErrors });
+                    return [];
+                }
+            }
+            if (existing) return [{ book, existing }];
+
+            if (book.id !== undefined && usedIds.has(book.id)) {
+                errors.unshift({ field: 'id', code: 'duplicate', message: `${book.id} is already in use` });
+            }
+            (book.copies ?? []).forEach(({ barcode }, i) => {
+                if (usedBarcodes.has(barcode)) errors.push({ field: `copies[${i}].barcode`, code: 'duplicate', message: `${barcode} is already in use` });
+            });
+            if (errors.length) {
+                invalid.push({ index, book, errors });
+                return [];
+            }
+
+            if (book.id !== undefined) usedIds.add(book.id);
+            (book.copies ?? []).forEach(({ barcode }) => usedBarcodes.add(barcode));
+            duplicateKeys(book).forEach(key => known.set(key, book));
+            return [{ book }];
+        });
+
+        if (invalid.length && onInvalid === 'throw') {
+            const prefix = index => (incoming.length > 1 ? `books[${index}].` : '');
+            throw new ValidationError(invalid.flatMap(({ index, errors }) =>
+                errors.map(error => ({ ...error, index, field: `${prefix(index)}${error.field}` }))
+            ));
+        }
+        invalid.forEach(({ book, errors }) => {
+            report.rejected.push({ record: book, reasons: errors.map(({ field, message }) => `${field} ${message}`) });
+        });
+
+        // Ids are assigned after validation so rejected books never consume one
+        let nextId = Math.max(0, ...[...usedIds].filter(Number.isInteger)) + 1;
+        const updates = []; // bookUpdated events for merges that changed something
+
+        plan.forEach(({ book, existing }) => {
+            if (!existing) {
+                book.id ??= nextId++;
+                report.added.push(book);
+                if (!dryRun) {
+                    this.books.push(book);
+                    this.#index.add(book);
+                }
+            } else if (duplicates === 'merge') {
+                report.merged.push({ book, into: existing.id });
+                if (!dryRun) {
+                    const { id, version, ...current } = existing;
+                    const next = mergeImported(existing, book);
+                    const diff = diffRecords(current, next);
+                    if (diff.length) {
+                        this.#writeRecord(existing, next, (version ?? 1) + 1);
+                        this.#audit.push(Object.freeze({
+                            seq: this.#nextSeq(),
+                            action: 'update',
+                            bookId: id,
+                            actor,
+                            at: this.#clock().toISOString(),
+                            version: existing.version,
+                            changes: diff
+                        }));
+                        this.#index.update(existing);
+                        updates.push(['bookUpdated', { book: existing, version: existing.version, changes: diff, actor, merged: true }]);
+                    }
+                }
+            } else {
+                report.skipped.push({ book, duplicateOf: existing.id ?? existing.title });
+            }
+        });
+
+        if (!dryRun) {
+            // One batched event for the whole import rather than one per book
+            this.#commit(
+                ...(report.added.length ? [['bookAdded', { books: report.added }]] : []),
+                ...updates
+            );
+        }
+        return report;
+    }
+
+    // ----------------------
+    // Search books by title, author, or genre (substring match; case-insensitive also ignores accents)
     searchBooks({ title, author, genre } = {}, caseSensitive = false) {
         return this.books.filter(book => {
             const match = (field, value) => {
                 if (!value || !field) return true;
                 return caseSensitive
                     ? field.includes(value)
-                    : field.toLowerCase().includes(value.toLowerCase());
+                    : foldText(field).includes(foldText(value));
             };
 
             return (
@@ -42,28 +208,588 @@ export class LibraryManager {
     }
 
     // ----------------------
-    // Return computed statistics
+    // Ranked, typo-tolerant free-text search; results carry a score and highlight spans per field
+    search(query, options) {
+        return this.#index.search(query, options);
+    }
+
+    // ----------------------
+    // Filter, sort and paginate with a query object or string (see query.js for the syntax)
+    query(query = {}) {
+        return runQuery(this.books, query, { locale: this.#locale });
+    }
+
+    // ----------------------
+    // Explained suggestions for a patron ({ patronId }) or for readers of a book ({ bookId }), from the
+    // registry's loan history; see recommend.js for the options
+    recommend({ patronId, bookId } = {}, options = {}) {
+        const context = { books: this.books, loans: this.#patrons?.loans ?? [] };
+        const settings = { asOf: toISODate(this.#clock()), ...options };
+        if (patronId === undefined) return recommendForBook(context, this.#requireBook(bookId).id, settings);
+        if (this.#patrons && !this.#patrons.getPatron(patronId)) throw new PatronNotFoundError(patronId);
+        return recommendForPatron(context, patronId, settings);
+    }
+
+    // ----------------------
+    // Async iterator over every match of a query, fetched `pageSize` books at a time with query cursors
+    scan(query = {}, { pageSize = 100 } = {}) {
+        const base = typeof query === 'string' ? parseQuery(query) : query;
+        return paginate(({ limit, cursor }) => this.query({ ...base, limit, cursor }), { pageSize, cursor: base.cursor });
+    }
+
+    // ----------------------
+    // Return computed statistics (refreshed so overdue counts follow the clock)
     getStatistics() {
+        this.#updateStatistics();
         return { ...this.#statistics };
     }
 
+    /**
+     * Edit a book by id and record the change in the audit log
+     * @param {number|string} bookId - Id of the book to change (a book object is accepted too)
+     * @param {Object} patch - In 'merge' mode nested objects merge and `null` deletes a field (JSON Merge Patch);
+     *                         in 'replace' mode the patch becomes the whole record (id and version are kept)
+     * @param {Object} [options] - { mode: 'merge' | 'replace', expectedVersion, actor }
+     * @returns {Object} The updated book
+     */
+    updateBook(bookId, patch, { mode = 'merge', expectedVersion, actor = 'system' } = {}) {
+        const book = this.#requireBook(typeof bookId === 'object' ? bookId.id : bookId);
+        const actualVersion = book.version ?? 1;
+
+        if (expectedVersion !== undefined && expectedVersion !== actualVersion) {
+            throw new VersionConflictError(
+                `"${book.title}" is at version ${actualVersion}, not ${expectedVersion}; reload and retry`,
+                { bookId: book.id, expectedVersion, actualVersion }
+            );
+        }
+        if (patch.id !== undefined && patch.id !== book.id) {
+            throw new ValidationError([{ field: 'id', code: 'immutable', message: 'cannot be changed' }]);
+        }
+
+        const { id, version, ...current } = book;
+        const changes = normalizeBook(patch);
+        delete changes.id;
+        delete changes.version;
+        const next = mode === 'replace' ? withoutNulls(changes) : mergePatch(current, changes);
+
+        const errors = validateBook({ ...next, id }, this.#schema, '', { clock: this.#clock });
+        if (errors.length) throw new ValidationError(errors);
+
+        const diff = diffRecords(current, next);
+        if (!diff.length) return book;
+
+        this.#writeRecord(book, next, actualVersion + 1);
+        this.#audit.push(Object.freeze({
+            seq: this.#nextSeq(),
+            action: 'update',
+            bookId: id,
+            actor,
+            at: this.#clock().toISOString(),
+            version: book.version,
+            changes: diff
+        }));
+        this.#index.update(book);
+        this.#commit(['bookUpdated', { book, version: book.version, changes: diff, actor }]);
+        return book;
+    }
+
     // ----------------------
-    // Update a book object using logical assignment operators
-    updateBook(book, updates) {
-        Object.entries(updates).forEach(([key, value]) => {
-            if (value !== undefined) {
-                book[key] ??= value; // Assign if undefined
-            }
+    // Revert the most recent edit of a book that has not been undone yet
+    undo(bookId, { actor = 'system' } = {}) {
+        const book = this.#requireBook(bookId);
+        const undone = new Set(this.#audit.filter(entry => entry.action === 'undo').map(entry => entry.undoes));
+        const entry = this.#audit.findLast(e => e.bookId === bookId && e.action === 'update' && !undone.has(e.seq));
+
+        if (!entry) {
+            throw new LibraryError(`Nothing to undo for "${book.title}"`, { code: 'NOTHING_TO_UNDO', bookId });
+        }
+
+        // Only revert if the fields still hold what that edit wrote, so later changes are never clobbered
+        const { id, version, ...current } = book;
+        const stale = entry.changes.find(({ path, after }) => !sameValue(readPath(current, path), after));
+        if (stale) {
+            throw new VersionConflictError(
+                `Cannot undo change #${entry.seq} of "${book.title}": ${stale.path} was changed again since`,
+                { bookId, expectedVersion: entry.version, actualVersion: version ?? 1 }
+            );
+        }
+
+        const next = structuredClone(current);
+        entry.changes.forEach(({ path, before }) => writePath(next, path, before));
+        const errors = validateBook({ ...next, id }, this.#schema, '', { clock: this.#clock });
+        if (errors.length) throw new ValidationError(errors);
+
+        this.#writeRecord(book, next, (version ?? 1) + 1);
+        this.#audit.push(Object.freeze({
+            seq: this.#nextSeq(),
+            action: 'undo',
+            undoes: entry.seq,
+            bookId,
+            actor,
+            at: this.#clock().toISOString(),
+            version: book.version,
+            changes: entry.changes.map(({ path, before, after }) => ({ path, before: after, after: before }))
+        }));
+        this.#index.update(book);
+        this.#commit(['bookUpdated', { book, version: book.version, changes: this.#audit.at(-1).changes, actor, undoes: entry.seq }]);
+        return book;
+    }
+
+    // ----------------------
+    // Audit entries for one book, oldest first
+    history(bookId) {
+        this.#requireBook(bookId);
+        return this.#audit.filter(entry => entry.bookId === bookId).map(entry => structuredClone(entry));
+    }
+
+    // ----------------------
+    // Delete audit entries - all, one book's (`bookId`) or those older than an ISO timestamp (`before`).
+    // The purge itself is audited; edits whose entries are gone can no longer be undone.
+    purgeHistory({ bookId, before, actor = 'system' } = {}) {
+        const purged = entry => (bookId === undefined || entry.bookId === bookId) && (before === undefined || entry.at < before);
+        const seq = this.#nextSeq(); // Taken before the purge so numbers are never reused
+        const removed = this.#audit.filter(purged).length;
+        this.#audit = this.#audit.filter(entry => !purged(entry));
+        this.#audit.push(Object.freeze({ seq, action: 'purge', bookId, before, removed, actor, at: this.#clock().toISOString() }));
+        this.#commit(['historyPurged', { bookId, before, removed, actor }]);
+        return removed;
+    }
+
+    // ----------------------
+    // A view of this library for one user ({ id, role, patronId }) that checks every call against the
+    // role's permissions and throws AuthorizationError when denied (see access.js)
+    as(user) {
+        return bindUser(this, user);
+    }
+
+    // ----------------------
+    // The PatronRegistry this library lends through, if any
+    get patrons() {
+        return this.#patrons;
+    }
+
+    // ----------------------
+    // Locale tag ('en', 'ar', 'ru-RU'...) used for sorting and passed on to the display functions
+    get locale() {
+        return this.#locale;
+    }
+
+    // ----------------------
+    // Look up a book by id
+    getBook(bookId) {
+        return this.books.find(book => book.id === bookId);
+    }
+
+    // ----------------------
+    // Lend an available copy (or one on hold for this patron); `barcode` or `branch` pick which copy
+    checkOut(bookId, patronId, { days = this.#loanDays, barcode, branch } = {}) {
+        const book = this.#requireBook(bookId);
+        const status = book.availability?.status;
+
+        if (patronId === undefined || patronId === null) {
+            throw new CirculationError('A patron id is required to check out a book', { bookId, status, operation: 'checkOut' });
+        }
+        assertLoanDays(days, bookId, 'checkOut');
+        const candidates = this.#pickCopies(book, { barcode, branch });
+        const copy = candidates.find(c => c.status === 'on_hold' && c.heldFor === patronId)
+            ?? candidates.find(c => c.status === 'available');
+        if (!copy && candidates.some(c => c.status === 'on_hold')) {
+            throw new CirculationError(`"${book.title}" is on hold for another patron`, { bookId, status, operation: 'checkOut' });
+        }
+        if (!copy) {
+            const where = branch === undefined ? '' : ` at ${branch}`;
+            const best = summarizeCopies(candidates)?.status ?? 'unknown';
+            throw new CirculationError(`"${book.title}" cannot be checked out${where} (status: ${best})`, { bookId, status, operation: 'checkOut' });
+        }
+        this.#patrons?.assertCanBorrow(patronId);
+
+        const today = this.#clock();
+        const loan = this.#setCopyState(book, copy, {
+            status: 'checked_out',
+            patronId,
+            checkedOutAt: toISODate(today),
+            dueDate: toISODate(addDays(today, days)),
+            renewals: 0,
+            shelfLocation: copy.location
         });
+        this.#patrons?.recordCheckout(patronId, { bookId, ...loan });
+        this.#touch(book);
 
-        if (updates.availability) {
-            book.availability ||= {};
-            Object.entries(updates.availability).forEach(([k, v]) => {
-                book.availability[k] ??= v;
-            });
+        this.#commit(['checkedOut', { book, patronId, dueDate: loan.dueDate, barcode: loan.barcode }]);
+        return book;
+    }
+
+    // ----------------------
+    // Take a copy back; it goes on the shelf or to the next patron in the hold queue.
+    // With several copies out, `barcode` or `patronId` says which loan is being returned.
+    returnBook(bookId, { barcode, patronId: borrower } = {}) {
+        const book = this.#requireBook(bookId);
+        const copy = this.#requireLoan(book, 'returnBook', { barcode, borrower });
+        const { shelfLocation: location, patronId, dueDate } = copy;
+
+        let fine = 0;
+        if (this.#patrons?.getPatron(patronId)) {
+            this.#patrons.recordReturn(patronId, bookId, toISODate(this.#clock()), { barcode: copy.barcode });
+            fine = this.#overdue.calculateFine(dueDate);
+            if (fine > 0) this.#patrons.assessFine(patronId, fine);
         }
 
+        const heldFor = this.#holds.get(bookId)?.shift();
+        this.#setCopyState(book, copy, heldFor === undefined
+            ? { status: 'available', location }
+            : { status: 'on_hold', location, heldFor, heldSince: toISODate(this.#clock()) });
+
+        this.#touch(book);
+        this.#commit(['returned', { book, patronId, heldFor, barcode: copy.barcode, dueDate, fine }]);
+        return book;
+    }
+
+    // ----------------------
+    // Extend a loan, unless other patrons are waiting or the renewal limit is reached
+    renew(bookId, { days = this.#loanDays, barcode, patronId: borrower } = {}) {
+        const book = this.#requireBook(bookId);
+        const copy = this.#requireLoan(book, 'renew', { barcode, borrower });
+        const { status, dueDate, renewals = 0, patronId } = copy;
+        assertLoanDays(days, bookId, 'renew');
+
+        if (this.#holds.get(bookId)?.length) {
+            throw new CirculationError(`"${book.title}" has holds waiting and cannot be renewed`, { bookId, status, operation: 'renew' });
+        }
+        if (renewals >= this.#maxRenewals) {
+            throw new CirculationError(`"${book.title}" has reached the renewal limit (${this.#maxRenewals})`, { bookId, status, operation: 'renew' });
+        }
+
+        const loan = this.#setCopyState(book, copy, {
+            ...copy,
+            dueDate: toISODate(addDays(dueDate ?? this.#clock(), days)),
+            renewals: renewals + 1
+        });
+        this.#touch(book);
+        if (this.#patrons?.getPatron(patronId)) {
+            this.#patrons.recordRenewal(patronId, bookId, loan.dueDate, { barcode: loan.barcode });
+        }
+
+        this.#commit(['renewed', { book, patronId, dueDate: loan.dueDate, barcode: loan.barcode }]);
+        return book;
+    }
+
+    // ----------------------
+    // Join the FIFO hold queue for a title with no copy on the shelf; returns the queue position
+    placeHold(bookId, patronId) {
+        const book = this.#requireBook(bookId);
+        const status = book.availability?.status;
+        const queue = this.#holds.get(bookId) ?? [];
+
+        if (this.#patrons && !this.#patrons.getPatron(patronId)) {
+            throw new PatronNotFoundError(patronId);
+        }
+        if (hasCopy(book, 'available')) {
+            throw new CirculationError(`"${book.title}" is available; check it out instead`, { bookId, status, operation: 'placeHold' });
+        }
+        const alreadyHas = copiesOf(book).some(copy => copy.patronId === patronId || copy.heldFor === patronId);
+        if (alreadyHas || queue.includes(patronId)) {
+            throw new CirculationError(`Patron ${patronId} already has "${book.title}" or a hold on it`, { bookId, status, operation: 'placeHold' });
+        }
+
+        queue.push(patronId);
+        this.#holds.set(bookId, queue);
+        this.#commit(['holdPlaced', { book, patronId, position: queue.length }]);
+        return queue.length;
+    }
+
+    // ----------------------
+    // Leave the hold queue; a copy waiting on the shelf passes to the next patron
+    cancelHold(bookId, patronId) {
+        const book = this.#requireBook(bookId);
+        const queue = this.#holds.get(bookId) ?? [];
+        const held = copiesOf(book).find(copy => copy.status === 'on_hold' && copy.heldFor === patronId);
+
+        if (held) {
+            const next = queue.shift();
+            const { location } = held;
+            this.#setCopyState(book, held, next === undefined
+                ? { status: 'available', location }
+                : { status: 'on_hold', location, heldFor: next, heldSince: toISODate(this.#clock()) });
+            this.#touch(book);
+            this.#commit(['holdCancelled', { book, patronId, heldFor: next }]);
+            return true;
+        }
+
+        const index = queue.indexOf(patronId);
+        if (index === -1) return false;
+        queue.splice(index, 1);
+        this.#commit(['holdCancelled', { book, patronId }]);
+        return true;
+    }
+
+    // ----------------------
+    // Find a copy anywhere in the catalog: { book, copy }, or undefined
+    findCopy(barcode) {
+        for (const book of this.books) {
+            const copy = book.copies?.find(c => c.barcode === barcode);
+            if (copy) return { book, copy };
+        }
+        return undefined;
+    }
+
+    // ----------------------
+    // Add a physical copy of a title; it goes on the shelf, or to the first patron waiting for it.
+    // A book still described by a single availability record switches to copies, so it must be on the shelf.
+    addCopy(bookId, { barcode, branch, location, condition = 'good' } = {}) {
+        const book = this.#requireBook(bookId);
+        const errors = validateBook({ barcode, branch, location, condition, status: 'available' }, this.#copyRules, 'copy.');
+        if (barcode && this.findCopy(barcode)) {
+            errors.push({ field: 'copy.barcode', code: 'duplicate', message: `${barcode} is already in use` });
+        }
+        if (errors.length) throw new ValidationError(errors);
+
+        const status = book.availability?.status;
+        if (!book.copies && status !== undefined && status !== 'available') {
+            throw new CirculationError(`"${book.title}" must be back on the shelf before copies are catalogued (status: ${status})`, { bookId, status, operation: 'addCopy' });
+        }
+
+        const copy = { barcode, branch, condition };
+        book.copies = [...(book.copies ?? []), copy];
+        const heldFor = this.#holds.get(bookId)?.shift();
+        this.#setCopyState(book, copy, heldFor === undefined
+            ? { status: 'available', location }
+            : { status: 'on_hold', location, heldFor, heldSince: toISODate(this.#clock()) });
+
+        this.#touch(book);
+        this.#commit(['copyAdded', { book, barcode, branch, heldFor }]);
+        return book;
+    }
+
+    // ----------------------
+    // Take a copy out of the collection (lost, damaged beyond repair...); it must be on the shelf
+    withdrawCopy(barcode) {
+        const { book, copy } = this.#requireCopy(barcode);
+        if (copy.status !== 'available') {
+            throw new CirculationError(`Copy ${barcode} of "${book.title}" cannot be withdrawn (status: ${copy.status})`, { bookId: book.id, status: copy.status, operation: 'withdrawCopy' });
+        }
+
+        book.copies = book.copies.filter(c => c !== copy);
+        this.#syncAvailability(book);
+        this.#touch(book);
+        this.#commit(['copyWithdrawn', { book, barcode }]);
+        return book;
+    }
+
+    // ----------------------
+    // Send a shelved copy to another branch; it stays in transit until `receiveTransfer`
+    transferCopy(barcode, toBranch) {
+        const { book, copy } = this.#requireCopy(barcode);
+        const fail = message => new CirculationError(message, { bookId: book.id, status: copy.status, operation: 'transferCopy' });
+
+        if (copy.status !== 'available') throw fail(`Copy ${barcode} of "${book.title}" cannot be transferred (status: ${copy.status})`);
+        if (copy.branch === toBranch) throw fail(`Copy ${barcode} of "${book.title}" is already at ${toBranch}`);
+        const errors = validateBook({ branch: toBranch }, { branch: this.#copyRules.branch });
+        if (errors.length) throw new ValidationError(errors);
+
+        const transfer = { from: copy.branch, to: toBranch, since: toISODate(this.#clock()) };
+        this.#setCopyState(book, copy, { status: 'in_transit', transfer });
+        this.#touch(book);
+        this.#commit(['transferStarted', { book, barcode, ...transfer }]);
+        return book;
+    }
+
+    // ----------------------
+    // Check in a copy arriving at its destination branch; a waiting hold claims it first
+    receiveTransfer(barcode, { location } = {}) {
+        const { book, copy } = this.#requireCopy(barcode);
+        if (copy.status !== 'in_transit') {
+            throw new CirculationError(`Copy ${barcode} of "${book.title}" is not in transit`, { bookId: book.id, status: copy.status, operation: 'receiveTransfer' });
+        }
+
+        const { from, to } = copy.transfer;
+        const heldFor = this.#holds.get(book.id)?.shift();
+        this.#setCopyState(book, copy, heldFor === undefined
+            ? { branch: to, status: 'available', location }
+            : { branch: to, status: 'on_hold', location, heldFor, heldSince: toISODate(this.#clock()) });
+        this.#touch(book);
+        this.#commit(['transferReceived', { book, barcode, from, to, heldFor }]);
+        return book;
+    }
+
+    // ----------------------
+    // Patrons waiting for a book, in queue order
+    getHolds(bookId) {
+        return [...(this.#holds.get(bookId) ?? [])];
+    }
+
+    // ----------------------
+    // Overdue loans with days late and accrued fine, most overdue first
+    getOverdue() {
+        return this.#overdue.listOverdue(this.books);
+    }
+
+    // ----------------------
+    // Fines a patron owes: accrued on open loans plus the balance assessed on returns
+    getPatronStatement(patronId) {
+        return this.#overdue.statement(patronId, this.books, this.#patrons);
+    }
+
+    // ----------------------
+    // Plain JSON snapshot of the catalog, hold queues, audit log and patron registry, as written to the store
+    toSnapshot() {
+        return {
+            version: SCHEMA_VERSION,
+            savedAt: this.#clock().toISOString(),
+            books: structuredClone(this.books),
+            holds: [...this.#holds].filter(([, queue]) => queue.length),
+            audit: structuredClone(this.#audit),
+            patrons: this.#patrons?.toSnapshot() ?? null
+        };
+    }
+
+    // ----------------------
+    // Private: read the store (upgrading old snapshots), or seed it with the initial books
+    #load(extraMigrations) {
+        const saved = this.#store?.load();
+        if (!saved) {
+            if (this.#store) this.#store.save(this.toSnapshot());
+            return;
+        }
+
+        const { books: savedBooks, holds = [], audit = [], patrons } = migrateSnapshot(saved, extraMigrations);
+        this.books = savedBooks;
+        this.#holds = new Map(holds);
+        this.#audit = audit.map(entry => Object.freeze(entry));
+        if (patrons) this.#patrons?.restore(patrons);
+        if (saved.version !== SCHEMA_VERSION) this.#store.save(this.toSnapshot());
+    }
+
+    // ----------------------
+    // Subscribe to 'bookAdded' | 'bookUpdated' | 'checkedOut' | 'returned' | 'renewed' |
+    // 'holdPlaced' | 'holdCancelled' | 'copyAdded' | 'copyWithdrawn' | 'transferStarted' |
+    // 'transferReceived' | 'historyPurged' | 'statsChanged' (or '*'), or 'error' for handlers that threw ({ error, event });
+    // returns an unsubscribe function
+    on(type, handler) {
+        return this.#events.on(type, handler);
+    }
+
+    // ----------------------
+    // Subscribe for a single event
+    once(type, handler) {
+        return this.#events.once(type, handler);
+    }
+
+    // ----------------------
+    // Async iterator of change events: `for await (const event of library.changes()) { ... }`
+    changes(options) {
+        return this.#events.stream(options);
+    }
+
+    // ----------------------
+    // Memoize a function over this library's data; the cache clears whenever the catalog changes
+    memoize(fn, options = {}) {
+        return memoize(fn, { ...options, invalidateOn: this });
+    }
+
+    // ----------------------
+    // Private: refresh statistics, persist, then notify subscribers once the state is consistent
+    #commit(...events) {
+        const previous = this.#statistics;
         this.#updateStatistics();
+        this.#store?.save(this.toSnapshot());
+
+        events.forEach(([type, payload]) => this.#events.emit(type, payload));
+        if (!sameValue(previous, this.#statistics)) {
+            this.#events.emit('statsChanged', { statistics: { ...this.#statistics }, previous });
+        }
+    }
+
+    // ----------------------
+    // Private: audit sequence numbers keep counting up across purges
+    #nextSeq() {
+        return (this.#audit.at(-1)?.seq ?? 0) + 1;
+    }
+
+    // ----------------------
+    // Private: make `book` match `fields` in place (other modules hold references to it) and set its version
+    #writeRecord(book, fields, version) {
+        Object.keys(book).forEach(key => {
+            if (key !== 'id' && !(key in fields)) delete book[key];
+        });
+        Object.assign(book, structuredClone(fields), { version });
+        this.#syncAvailability(book);
+    }
+
+    // ----------------------
+    // Private: circulation changes a record too, so it moves the version on
+    #touch(book) {
+        book.version = (book.version ?? 1) + 1;
+    }
+
+    // ----------------------
+    // Private: replace a copy's circulation state, keeping its identity, and refresh the title summary.
+    // For a book without copies the state becomes its availability record.
+    #setCopyState(book, copy, state) {
+        if (!book.copies) {
+            book.availability = state;
+            return state;
+        }
+        const { barcode, branch, condition } = copy;
+        const next = Object.fromEntries(
+            Object.entries({ barcode, branch, condition, ...state }).filter(([, value]) => value !== undefined)
+        );
+        book.copies[book.copies.indexOf(copy)] = next;
+        this.#syncAvailability(book);
+        return next;
+    }
+
+    // ----------------------
+    // Private: validation rules for a single copy
+    get #copyRules() {
+        return (this.#schema.copies ?? bookSchema.copies).items;
+    }
+
+    // ----------------------
+    // Private: derive a title's availability from its copies
+    #syncAvailability(book) {
+        if (!book.copies) return;
+        const summary = summarizeCopies(book.copies);
+        if (summary) book.availability = summary;
+        else delete book.availability;
+    }
+
+    // ----------------------
+    // Private: copies matching an optional barcode and branch; an unknown barcode is an error
+    #pickCopies(book, { barcode, branch }) {
+        const copies = copiesOf(book).filter(copy =>
+            (barcode === undefined || copy.barcode === barcode) && (branch === undefined || copy.branch === branch)
+        );
+        if (barcode !== undefined && !copies.length) throw new CopyNotFoundError(barcode);
+        return copies;
+    }
+
+    // ----------------------
+    // Private: the single open loan an operation applies to
+    #requireLoan(book, operation, { barcode, borrower }) {
+        const loans = this.#pickCopies(book, { barcode })
+            .filter(copy => copy.status === 'checked_out' && (borrower === undefined || copy.patronId === borrower));
+        const details = { bookId: book.id, status: book.availability?.status, operation };
+
+        if (!loans.length) throw new CirculationError(`"${book.title}" is not checked out`, details);
+        if (loans.length > 1) {
+            throw new CirculationError(`${loans.length} copies of "${book.title}" are checked out; give a barcode or patron id`, details);
+        }
+        return loans[0];
+    }
+
+    // ----------------------
+    // Private barcode lookup that fails loudly
+    #requireCopy(barcode) {
+        const found = this.findCopy(barcode);
+        if (!found) throw new CopyNotFoundError(barcode);
+        return found;
+    }
+
+    // ----------------------
+    // Private lookup that fails loudly
+    #requireBook(bookId) {
+        const book = this.getBook(bookId);
+        if (!book) throw new BookNotFoundError(bookId);
         return book;
     }
 
@@ -73,11 +799,93 @@ export class LibraryManager {
         const total = this.books.length;
         const available = this.books.filter(b => b.availability?.status === 'available').length;
         const checkedOut = this.books.filter(b => b.availability?.status === 'checked_out').length;
+        const onHold = this.books.filter(b => b.availability?.status === 'on_hold').length;
+        const copies = this.books.reduce((sum, book) => sum + copiesOf(book).length, 0);
+        const overdueItems = this.#overdue.listOverdue(this.books);
+        const accrued = overdueItems.reduce((sum, { fine }) => sum + fine, 0);
+        const assessed = this.#patrons?.patrons.reduce((sum, { fineBalance }) => sum + fineBalance, 0) ?? 0;
+        const outstandingFines = Math.round((accrued + assessed) * 100) / 100;
 
-        this.#statistics = { total, available, checkedOut };
+        this.#statistics = { total, available, checkedOut, onHold, overdue: overdueItems.length, outstandingFines, copies, branches: countByBranch(this.books) };
+    }
+}
+
+// ----------------------
+// A loan period must be a whole number of days above 0
+function assertLoanDays(days, bookId, operation) {
+    if (!Number.isInteger(days) || days < 1) {
+        throw new LibraryError(`Loan period must be a whole number of days above 0, not ${days}`, { code: 'INVALID_LOAN_PERIOD', bookId, operation });
     }
 }
 
+// ----------------------
+// Keys under which two books count as the same title: ISBN, or title + author + year
+function duplicateKeys({ isbn, title, author, year }) {
+    const keys = [];
+    if (isbn) keys.push(`isbn:${String(isbn).replace(/[^0-9X]/gi, '').toUpperCase()}`);
+    if (title && author) keys.push(`work:${foldText(title)}|${foldText(author)}|${year ?? ''}`);
+    return keys;
+}
+
+// ----------------------
+// Record an import duplicate merges into: incoming fields win, except the system fields (id, version) and an
+// availability the existing book already has; incoming copies join the existing ones rather than replacing them
+function mergeImported(existing, incoming) {
+    const { id, version, availability, copies = [], ...fields } = incoming;
+    const { id: existingId, version: existingVersion, ...current } = existing;
+    const next = { ...current, ...structuredClone(fields) };
+    next.availability ??= availability;
+    const newCopies = copies.filter(copy => !current.copies?.some(({ barcode }) => barcode === copy.barcode));
+    if (newCopies.length) next.copies = [...(current.copies ?? []), ...structuredClone(newCopies)];
+    return next;
+}
+
+// ----------------------
+// Plain-object test used by the patch helpers
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ----------------------
+// JSON Merge Patch (RFC 7386): nested objects merge, null deletes, undefined is ignored
+function mergePatch(target, patch) {
+    if (!isPlainObject(patch)) return structuredClone(patch);
+    const result = isPlainObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) delete result[key];
+        else if (value !== undefined) result[key] = mergePatch(result[key], value);
+    });
+    return result;
+}
+
+// ----------------------
+// Drop null/undefined fields (replace mode has nothing to merge into)
+const withoutNulls = patch => mergePatch({}, patch);
+
+// ----------------------
+// Field-level differences between two records as [{ path, before, after }]
+function diffRecords(before, after, prefix = '') {
+    const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+    return [...keys].flatMap(key => {
+        const [a, b] = [before?.[key], after?.[key]];
+        const path = `${prefix}${key}`;
+        if (isPlainObject(a) && isPlainObject(b)) return diffRecords(a, b, `${path}.`);
+        return sameValue(a, b) ? [] : [{ path, before: a, after: b }];
+    });
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const readPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+// ----------------------
+// Set (or delete, for undefined) a dotted path, creating parent objects as needed
+function writePath(record, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (isPlainObject(node[key]) ? node[key] : (node[key] = {})), record);
+    if (value === undefined) delete parent[last];
+    else parent[last] = structuredClone(value);
+}
+
 // ----------------------
 // Higher-order function to format books
 export const createBookFormatter = (formatter) => {
@@ -85,18 +893,8 @@ export const createBookFormatter = (formatter) => {
 };
 
 // ----------------------
-// Memoization function using Map
-export const memoize = (fn) => {
-    const cache = new Map();
-    return (...args) => {
-        const key = JSON.stringify(args);
-        if (!cache.has(key)) {
-            const result = fn(...args);
-            cache.set(key, result);
-        }
-        return cache.get(key);
-    };
-};
+// Memoization (LRU, TTL, async coalescing, stats) lives in memoize.js
+export { memoize };
 
 // ----------------------
 // Default library instance
@@ -3,9 +3,18 @@
  * Demonstrates ES6 modules, async operations, and coordination of different modules
  */
 
-import { books, filterBooksByStatus, groupBooksByGenre, bookTitleGenerator, createBookSummary } from './data.js';
+import { books, patrons, filterBooksByStatus, groupBooksByGenre, bookTitleGenerator, createBookSummary } from './data.js';
 import libraryManager, { LibraryManager, createBookFormatter, memoize } from './library.js';
-import { displayStatistics, displayBooks, displaySearchResults, showBookAnalysis, formatAvailability } from './ui.js';
+import { PatronRegistry } from './patrons.js';
+import { displayStatistics, displayBooks, displaySearchResults, displayQueryResults, showBookAnalysis, formatAvailability, displayFineStatement, displayCopies, displayReport, displayRecommendations, logLibraryEvents } from './ui.js';
+import { circulationByTitle, mostBorrowed, neverBorrowed, loanDuration, genreTurnover, collectionAge, reportContext, reportToCSV, reportToMarkdown } from './reports.js';
+import { addDays } from './dates.js';
+import { mountLibraryApp } from './dom-ui.js';
+import { map, filter, take, chunk, zip, groupBy, mapAsync, filterAsync, chunkAsync } from './lazy.js';
+import { readJSONLines, jsonLinesChunks } from './formats.js';
+import { i18nFor, resolveLocale } from './i18n.js';
+import { Notifier, ConsoleTransport, MemoryTransport } from './notifications.js';
+import { LibraryError, AuthorizationError } from './errors.js';
 
 /**
  * ----------------------
@@ -32,7 +41,16 @@ async function runLibraryDemo() {
 
         console.log('\n📚 Books Grouped by Genre:');
         const grouped = groupBooksByGenre(library.books);
-        showBookAnalysis(grouped);
+        grouped.forEach((genreBooks, genre) => {
+            console.log(`${genre}: ${genreBooks.map(({ title }) => title).join(', ')}`);
+        });
+        showBookAnalysis(library.books);
+
+        console.log('\n🔍 Free-text Search Example:');
+        displaySearchResults(library.search('clean archtecture martin'), 'clean archtecture martin');
+
+        console.log('\n🧮 Query Example:');
+        displayQueryResults(library.query('genre:programming year>=2010 sort:-year limit:2'));
 
         console.log('\n🔄 Generator Example (Book Titles):');
         showGeneratorExample();
@@ -40,9 +58,36 @@ async function runLibraryDemo() {
         console.log('\n⚙️  Error Handling Demo:');
         demonstrateErrorHandling(library);
 
+        console.log('\n📬 Circulation Example:');
+        demonstrateCirculation();
+
+        console.log('\n🏛️  Branch Inventory Example:');
+        demonstrateInventory();
+
+        console.log('\n📈 Reporting Example:');
+        demonstrateReports();
+
+        console.log('\n💡 Recommendation Example:');
+        demonstrateRecommendations();
+
+        console.log('\n✉️  Notification Example:');
+        await demonstrateNotifications();
+
+        console.log('\n🔐 Access Control Example:');
+        demonstrateAccessControl();
+
+        console.log('\n🧠 Memoization Example:');
+        await demonstrateMemoization();
+
         console.log('\n🎨 Book Formatting Example:');
         const formatter = createBookFormatter(createBookSummary);
-        displayBooks(formatter(library.books));
+        formatter(library.books).forEach(summary => console.log(summary));
+
+        console.log('\n🌊 Lazy Pipeline Example:');
+        await demonstrateLazyPipelines(library, formatter);
+
+        console.log('\n🌍 Localization Example:');
+        demonstrateLocalization();
 
     } catch (error) {
         console.error('Application error:', error?.message ?? error);
@@ -108,6 +153,272 @@ function demonstrateErrorHandling(library) {
     }
 }
 
+/**
+ * ----------------------
+ * Demonstrate checkout, holds, renewal and return on a private copy of the catalog
+ * ----------------------
+ */
+function demonstrateCirculation() {
+    console.log('\n📬 === CIRCULATION DEMO ===');
+    const registry = new PatronRegistry(patrons);
+    const library = new LibraryManager(structuredClone(books), { patrons: registry });
+    const stopLogging = logLibraryEvents(library);
+
+    library.checkOut(4, 'P-1001');
+    displayBooks(filterBooksByStatus(library.books, 'checked_out'), 'Checked Out (librarian view)', {
+        patrons: registry,
+        canViewBorrower: true
+    });
+
+    const position = library.placeHold(4, 'P-1003');
+    console.log(`Hold placed for P-1003 (position ${position})`);
+
+    try {
+        library.renew(4);
+    } catch (err) {
+        console.error(`Caught ${err.name} [${err.code}]:`, err.message);
+    }
+
+    library.returnBook(4);
+    console.log('After return:', formatAvailability(library.getBook(4).availability));
+    console.log('P-1001 loan history:', registry.getLoanHistory('P-1001'));
+    displayFineStatement(library.getPatronStatement('P-1002'));
+    stopLogging();
+    displayStatistics(library.getStatistics());
+}
+
+/**
+ * ----------------------
+ * Demonstrate copies across branches: branch availability, checkout at a branch and a transfer
+ * ----------------------
+ */
+function demonstrateInventory() {
+    console.log('\n🏛️  === INVENTORY DEMO ===');
+    const library = new LibraryManager(structuredClone(books));
+    const stopLogging = logLibraryEvents(library);
+
+    displayBooks(filterBooksByStatus(library.books, 'available', 'Eastside'), 'Available at Eastside');
+    library.checkOut(1, 'P-1003', { branch: 'Eastside' });
+    console.log('Available at Eastside now:', filterBooksByStatus(library.books, 'available', 'Eastside').length);
+
+    library.transferCopy('31001000000041', 'Eastside');
+    displayCopies(library.getBook(4));
+    library.receiveTransfer('31001000000041', { location: 'E1-07' });
+    displayCopies(library.getBook(4));
+
+    stopLogging();
+    displayStatistics(library.getStatistics());
+}
+
+/**
+ * ----------------------
+ * Demonstrate reports over a few weeks of simulated loans, in console, CSV and Markdown form
+ * ----------------------
+ */
+function demonstrateReports() {
+    console.log('\n📈 === REPORTS DEMO ===');
+    let today = new Date('2026-01-05');
+    const registry = new PatronRegistry(patrons);
+    const library = new LibraryManager(structuredClone(books), { patrons: registry, clock: () => today });
+
+    const lend = (bookId, patronId, on, days) => {
+        today = new Date(on);
+        library.checkOut(bookId, patronId);
+        today = addDays(today, days);
+        library.returnBook(bookId, { patronId });
+    };
+    lend(1, 'P-1001', '2026-01-05', 10);
+    lend(1, 'P-1003', '2026-01-20', 14);
+    lend(4, 'P-1001', '2026-02-02', 7);
+    lend(1, 'P-1002', '2026-02-10', 3);
+
+    const context = reportContext(library);
+    displayReport(circulationByTitle(context));
+    displayReport(mostBorrowed(context, { limit: 3 }));
+    displayReport(neverBorrowed(context));
+    displayReport(loanDuration(context));
+    console.log(reportToMarkdown(genreTurnover(context)));
+    console.log(reportToCSV(collectionAge(context, { asOf: '2026-10-19' })));
+}
+
+/**
+ * ----------------------
+ * Demonstrate recommendations from co-borrowing, shared authors and genres, and the fallback for a new member
+ * ----------------------
+ */
+function demonstrateRecommendations() {
+    console.log('\n💡 === RECOMMENDATIONS DEMO ===');
+    let today = new Date('2026-03-02');
+    const registry = new PatronRegistry([...patrons, { id: 'P-1004', name: 'Katherine Johnson' }]);
+    const library = new LibraryManager(structuredClone(books), { patrons: registry, clock: () => today });
+    library.addCopy(3, { barcode: '31001000000031', branch: 'Main', location: 'B3-02' });
+
+    const lend = (bookId, patronId, on) => {
+        today = new Date(on);
+        library.checkOut(bookId, patronId);
+        library.returnBook(bookId, { patronId });
+    };
+    lend(1, 'P-1001', '2026-03-02');
+    lend(3, 'P-1001', '2026-03-16');
+    lend(1, 'P-1003', '2026-04-01');
+    lend(3, 'P-1003', '2026-04-20');
+    lend(4, 'P-1002', '2026-05-04');
+
+    displayRecommendations(library.recommend({ bookId: 1 }, { limit: 3 }), 'Borrowers of The Clean Coder also borrowed');
+    displayRecommendations(library.recommend({ patronId: 'P-1002' }, { limit: 3 }), 'For Alan Turing');
+    displayRecommendations(library.recommend({ patronId: 'P-1004' }, { limit: 2 }), 'For a new member (no history yet)');
+}
+
+/**
+ * ----------------------
+ * Demonstrate queued notifications over a simulated fortnight: due soon, overdue, fine and hold ready,
+ * with a failed delivery retried and a patron's quiet hours respected
+ * ----------------------
+ */
+async function demonstrateNotifications() {
+    console.log('\n✉️  === NOTIFICATIONS DEMO ===');
+    let now = new Date('2026-03-01T10:00:00Z');
+    const clock = () => now;
+    const library = new LibraryManager(structuredClone(books), { patrons: new PatronRegistry(patrons), clock });
+    const sms = new MemoryTransport();
+    const notifier = new Notifier(library, {
+        clock,
+        transports: new Map([["email", new ConsoleTransport()], ["sms", sms]])
+    });
+    notifier.setPreferences('P-1002', { channel: 'sms', quietHours: { start: '21:00', end: '08:00' }, timeZone: 'Asia/Tokyo', mute: ['overdue'] });
+    notifier.setPreferences('P-1003', { locale: 'ru' });
+
+    library.checkOut(4, 'P-1003');
+    library.placeHold(4, 'P-1002');
+
+    now = new Date('2026-03-14T10:00:00Z'); // The loan is due tomorrow
+    console.log('Daily run:', await notifier.run());
+    now = new Date('2026-03-18T10:00:00Z'); // Three days late
+    console.log('Daily run:', await notifier.run());
+
+    sms.failNext(); // The hold-ready text fails once...
+    library.returnBook(4);
+    console.log('Flush after the return:', await notifier.flush());
+    now = new Date('2026-03-18T13:00:00Z'); // ...and its retry lands at 22:00 in Tokyo, inside quiet hours
+    console.log('Flush in quiet hours:', await notifier.flush());
+    now = new Date('2026-03-18T23:30:00Z');
+    console.log('Flush next morning:', await notifier.flush());
+    console.log('Texts sent:', sms.sent.map(({ to, subject }) => `${to}: ${subject}`));
+    notifier.stop();
+}
+
+/**
+ * ----------------------
+ * Demonstrate role-based access: a patron borrowing for themselves, a librarian editing the catalog,
+ * and only an admin allowed to delete audit history
+ * ----------------------
+ */
+function demonstrateAccessControl() {
+    console.log('\n🔐 === ACCESS CONTROL DEMO ===');
+    const library = new LibraryManager(structuredClone(books), { patrons: new PatronRegistry(patrons) });
+    const ada = library.as({ id: 'P-1001', role: 'patron' });
+    const desk = library.as({ id: 'L-7', role: 'librarian' });
+    const admin = library.as({ id: 'A-1', role: 'admin' });
+    const attempt = (label, action) => {
+        try {
+            console.log(`✅ ${label}:`, action());
+        } catch (error) {
+            if (!(error instanceof AuthorizationError)) throw error;
+            console.log(`🔒 ${label}: ${error.message}`);
+        }
+    };
+
+    attempt('Ada borrows for herself', () => ada.checkOut(4).availability.status);
+    attempt('Ada borrows for Alan', () => ada.checkOut(1, 'P-1002'));
+    attempt('Ada edits a book', () => ada.updateBook(4, { genre: 'Software Engineering' }));
+    desk.checkOut(1, 'P-1002');
+    const borrowers = view => view.getBook(1).copies.map(({ barcode, patronId = '-' }) => `${barcode}: ${patronId}`).join(', ');
+    attempt('Borrowers of book 1 as Ada sees them', () => borrowers(ada));
+    attempt('Borrowers of book 1 as the desk sees them', () => borrowers(desk));
+
+    desk.updateBook(4, { genre: 'Software Engineering' });
+    attempt('Who made the last edit', () => desk.history(4).at(-1).actor);
+    attempt('The desk purges history', () => desk.purgeHistory({ bookId: 4 }));
+    attempt('An admin purges history', () => admin.purgeHistory({ bookId: 4 }));
+}
+
+/**
+ * ----------------------
+ * Demonstrate memoized searches that clear on catalog changes, and coalesced async calls
+ * ----------------------
+ */
+async function demonstrateMemoization() {
+    console.log('\n🧠 === MEMOIZATION DEMO ===');
+    const library = new LibraryManager(structuredClone(books));
+    const cachedSearch = library.memoize(text => library.search(text), { maxSize: 50 });
+
+    cachedSearch('clean');
+    cachedSearch('clean');
+    console.log('After two identical searches:', cachedSearch.cache.stats());
+    library.addBooks({ title: 'Clean Code', author: 'Robert C. Martin', year: 2008, genre: 'Programming' });
+    console.log('Results after adding a book:', cachedSearch('clean').length, cachedSearch.cache.stats());
+
+    let lookups = 0;
+    const fetchCover = memoize(async (isbn) => {
+        lookups++;
+        return `cover-${isbn}.jpg`;
+    }, { ttl: 60_000 });
+    await Promise.all([fetchCover('9780132350884'), fetchCover('9780132350884')]);
+    console.log(`Two concurrent cover lookups ran the function ${lookups} time(s)`);
+}
+
+/**
+ * ----------------------
+ * Demonstrate lazy pipelines: sync helpers over titles, a streamed JSON Lines catalog, and paged queries
+ * ----------------------
+ */
+async function demonstrateLazyPipelines(library, formatter) {
+    console.log('\n🌊 === LAZY PIPELINE DEMO ===');
+    const numbered = zip(map(take(bookTitleGenerator(library.books), 3), title => title.toUpperCase()), [1, 2, 3]);
+    console.log('First titles:', [...numbered].map(([title, n]) => `${n}. ${title}`).join(' | '));
+    const byDecade = groupBy(filter(library.books, ({ year }) => year >= 2000), ({ year }) => `${Math.floor(year / 10) * 10}s`);
+    console.log('Recent titles by decade:', Object.fromEntries(map(byDecade, ([decade, list]) => [decade, list.map(({ title }) => title)])));
+    console.log('Title batches:', [...chunk(bookTitleGenerator(library.books), 3)]);
+
+    // Stream the catalog as JSON Lines text and format it two books at a time
+    const entries = readJSONLines(jsonLinesChunks(library.books));
+    const streamed = mapAsync(filterAsync(entries, ({ book }) => book?.genre === 'Programming'), ({ book }) => book);
+    for await (const page of chunkAsync(streamed, 2)) {
+        console.log('Formatted batch:', formatter(page));
+    }
+
+    const ids = [];
+    for await (const book of library.scan('sort:title', { pageSize: 2 })) ids.push(book.id);
+    console.log('Scanned ids two at a time:', ids.join(', '));
+}
+
+/**
+ * ----------------------
+ * Demonstrate localized summaries, relative due dates, plural forms and collation in English, Arabic and Russian
+ * ----------------------
+ */
+function demonstrateLocalization() {
+    console.log('\n🌍 === LOCALIZATION DEMO ===');
+    const asOf = new Date('2024-11-28'); // Three days before book 2 is due
+    for (const locale of ['en', 'ar', 'ru']) {
+        const { t, dir } = i18nFor(locale);
+        const library = new LibraryManager(structuredClone(books), { locale });
+        console.log(`\n[${locale}, ${dir}] ${[0, 1, 2, 5, 21].map(count => t('books.count', { count })).join(' · ')}`);
+        [1, 2].forEach(id => console.log(createBookSummary(library.getBook(id), { locale, asOf })));
+    }
+
+    const arabic = new LibraryManager(structuredClone(books), { locale: 'ar' });
+    displayStatistics(arabic.getStatistics(), { locale: arabic.locale });
+
+    // Collation: "Ёлка" belongs between "Евгений Онегин" and "Жизнь", where code-point order would not put it
+    const russian = new LibraryManager([
+        { id: 1, title: 'Жизнь', author: 'Мопассан', year: 1883, genre: 'Роман' },
+        { id: 2, title: 'Ёлка', author: 'Достоевский', year: 1876, genre: 'Рассказ' },
+        { id: 3, title: 'Евгений Онегин', author: 'Пушкин', year: 1833, genre: 'Роман' }
+    ], { locale: 'ru' });
+    displayQueryResults(russian.query('sort:title'), undefined, { locale: russian.locale });
+}
+
 /**
  * ----------------------
  * Demonstrate generator iteration
@@ -125,3 +436,23 @@ function showGeneratorExample() {
 // Start the application
 // ----------------------
 runLibraryDemo();
+
+// ----------------------
+// In a browser, also draw the interactive catalog (on its own copy of the data)
+// ----------------------
+const appRoot = globalThis.document?.querySelector('#library-app');
+if (appRoot) {
+    const params = new URLSearchParams(globalThis.location?.search);
+    const locale = resolveLocale(params.get('lang') ?? undefined); // e.g. ?lang=ar; unsupported tags fall back to English
+    const library = new LibraryManager(structuredClone(books), { patrons: new PatronRegistry(patrons), locale });
+    const [role, id] = params.get('as')?.split(':') ?? []; // e.g. ?as=patron:P-1001
+    let user = role ? { id, role } : undefined;
+    try {
+        if (user) library.as(user);
+    } catch (err) {
+        if (!(err instanceof LibraryError)) throw err;
+        console.warn(`Ignoring ?as=${params.get('as')} (${err.message}); showing the library view`);
+        user = undefined;
+    }
+    mountLibraryApp(appRoot, library, { user });
+}
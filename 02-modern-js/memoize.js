@@ -0,0 +1,119 @@
+/**
+ * Memoization for the Library Management System
+ * Bounded (LRU), expiring (TTL) caches with pluggable keys, async call coalescing,
+ * hit/miss statistics and automatic invalidation from library change events.
+ */
+
+const functionIds = new WeakMap(); // function -> stable id, so functions key by identity
+let nextFunctionId = 1;
+
+/**
+ * Default cache key: a structural serialization of the arguments that, unlike JSON.stringify,
+ * handles Map, Set, Date, circular references and object key order
+ * @param {...*} args - Arguments of the memoized call
+ * @returns {string} Cache key
+ */
+export function argumentsKey(...args) {
+    return serialize(args, []);
+}
+
+function serialize(value, ancestors) {
+    switch (typeof value) {
+        case 'string': return JSON.stringify(value);
+        case 'bigint': return `${value}n`;
+        case 'symbol': return value.toString();
+        case 'function':
+            if (!functionIds.has(value)) functionIds.set(value, nextFunctionId++);
+            return `fn#${functionIds.get(value)}`;
+        case 'object': break;
+        default: return String(value); // numbers, booleans, undefined
+    }
+    if (value === null) return 'null';
+    if (ancestors.includes(value)) return '[Circular]';
+
+    const inner = item => serialize(item, [...ancestors, value]);
+    if (value instanceof Date) return `Date(${value.getTime()})`;
+    if (value instanceof Map) return `Map{${[...value].map(([k, v]) => `${inner(k)}=>${inner(v)}`).join(',')}}`;
+    if (value instanceof Set) return `Set{${[...value].map(inner).join(',')}}`;
+    if (Array.isArray(value)) return `[${value.map(inner).join(',')}]`;
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${inner(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Wrap a function so repeated calls with the same arguments reuse the first result
+ * @param {Function} fn - Function to memoize; may return a promise
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Entries kept before the least recently used is evicted (default unbounded)
+ * @param {number} [options.ttl] - Milliseconds an entry stays fresh (default forever)
+ * @param {Function} [options.resolver] - (...args) => cache key (default `argumentsKey`)
+ * @param {Object} [options.invalidateOn] - Anything with `on(type, handler)`, e.g. a LibraryManager;
+ *                                          every event it emits clears the cache
+ * @param {Function} [options.clock] - Returns the current Date; injectable for TTL tests
+ * @returns {Function} Memoized function with `cache` ({ size, has, delete, clear, keys, stats }),
+ *                     `keyFor(...args)` and `dispose()` (stops listening for invalidation)
+ */
+export function memoize(fn, { maxSize = Infinity, ttl = Infinity, resolver = argumentsKey, invalidateOn, clock = () => new Date() } = {}) {
+    const entries = new Map(); // key -> { value, expires }; Map order doubles as recency order
+    const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+    const now = () => clock().getTime();
+
+    // Fresh entry for a key, or undefined; expired entries are dropped on the way
+    const lookup = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires <= now()) {
+            entries.delete(key);
+            stats.expirations++;
+            return undefined;
+        }
+        return entry;
+    };
+
+    const memoized = function (...args) {
+        const key = resolver.apply(this, args);
+        const cached = lookup(key);
+        if (cached) {
+            stats.hits++;
+            entries.delete(key); // Re-insert so the entry becomes the most recently used
+            entries.set(key, cached);
+            return cached.value;
+        }
+
+        stats.misses++;
+        const value = fn.apply(this, args);
+        const entry = { value, expires: now() + ttl };
+        entries.set(key, entry);
+        while (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+
+        // Concurrent identical calls share the pending promise; a rejection is never cached
+        if (typeof value?.then === 'function') {
+            value.then(undefined, () => {
+                if (entries.get(key) === entry) entries.delete(key);
+            });
+        }
+        return value;
+    };
+
+    const clear = () => entries.clear();
+    const stopListening = invalidateOn?.on('*', () => {
+        if (entries.size) stats.invalidations++;
+        clear();
+    });
+
+    memoized.cache = {
+        get size() {
+            return entries.size;
+        },
+        has: key => lookup(key) !== undefined,
+        delete: key => entries.delete(key),
+        clear,
+        keys: () => [...entries.keys()],
+        stats: () => ({ ...stats, size: entries.size, hitRate: stats.hits + stats.misses ? stats.hits / (stats.hits + stats.misses) : 0 })
+    };
+    memoized.keyFor = (...args) => resolver(...args);
+    memoized.dispose = () => stopListening?.();
+    return memoized;
+}
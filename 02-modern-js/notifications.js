@@ -0,0 +1,372 @@
+/**
+ * Notifications for the Library Management System
+ *
+ * A `Notifier` watches a LibraryManager and queues templated messages - hold ready, due soon,
+ * overdue and fine assessed - then hands them to pluggable transports. A transport is anything
+ * with `send(message)` that returns (or resolves) on delivery and throws (or rejects) on failure;
+ * failures are retried with a growing delay. Each patron can pick a channel, language and time
+ * zone, mute message types and set quiet hours during which their messages wait in the queue.
+ *
+ * `run()` scans the library state and delivers what is due, so it can be called from a scheduled
+ * job; `toSnapshot()` and the `snapshot` option carry the queue between runs:
+ *
+ *   const notifier = new Notifier(library, { transports, snapshot: outboxStore.load() });
+ *   await notifier.run();
+ *   outboxStore.save(notifier.toSnapshot());
+ */
+
+import { DeliveryError, LibraryError } from './errors.js';
+import { addDays, toISODate } from './dates.js';
+import { copiesOf } from './inventory.js';
+import { i18nFor } from './i18n.js';
+
+export const notificationTypes = ['holdReady', 'dueSoon', 'overdue', 'fineAssessed'];
+
+// ----------------------
+// Default settings for a patron without preferences of their own
+export const defaultNotificationPreferences = {
+    channel: undefined, // Transport name; the notifier's first transport when unset
+    address: undefined, // Where the transport sends to (e-mail address, phone...); the patron id when unset
+    locale: undefined, // The library's locale when unset
+    timeZone: 'UTC', // For quiet hours
+    quietHours: null, // { start: '21:00', end: '08:00' } in the patron's time zone
+    mute: [] // Message types the patron does not want
+};
+
+// ----------------------
+// Subject and body of a message from the `notify.<type>.*` entries of the i18n catalogs
+export function renderNotification(type, data, locale) {
+    const { t } = i18nFor(locale);
+    return { subject: t(`notify.${type}.subject`, data), body: t(`notify.${type}.body`, data) };
+}
+
+// ----------------------
+// Whether an "HH:MM" local time falls in quiet hours, including ranges that pass midnight
+function inQuietHours(time, { start, end }) {
+    return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+// ----------------------
+// Local "HH:MM" of a moment in a time zone
+const localTime = (date, timeZone) =>
+    new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }).format(date);
+
+/**
+ * Notifier queues library notifications and delivers them through transports
+ */
+export class Notifier {
+    #library;
+    #transports;
+    #preferences;
+    #templates;
+    #clock;
+    #dueSoonDays;
+    #overdueEveryDays;
+    #maxAttempts;
+    #retryMinutes;
+    #queue = []; // Messages waiting for delivery or a retry, oldest first
+    #delivered = []; // Sent and permanently failed messages, oldest first
+    #keys = new Set(); // Dedupe keys of every message ever queued, so scans never repeat one
+    #stopListening;
+
+    /**
+     * @param {Object} library - LibraryManager to watch
+     * @param {Object} [options]
+     * @param {Map} [options.transports] - Map of channel name -> transport (default: a ConsoleTransport)
+     * @param {Map} [options.preferences] - Map of patronId -> preferences (see defaultNotificationPreferences)
+     * @param {Map} [options.templates] - Map of type -> (data, locale) => { subject, body }, replacing catalog text
+     * @param {Function} [options.clock] - Returns the current Date; pass the library's clock in simulations
+     * @param {number} [options.dueSoonDays] - How many days ahead "due soon" looks (default 2)
+     * @param {number} [options.overdueEveryDays] - Days between overdue reminders for the same loan (default 7)
+     * @param {number} [options.maxAttempts] - Delivery attempts before a message fails for good (default 3)
+     * @param {Array} [options.retryMinutes] - Wait after the 1st, 2nd... failed attempt (default [5, 30])
+     * @param {Object} [options.snapshot] - Result of an earlier `toSnapshot()`
+     * @param {boolean} [options.listen] - Queue hold-ready and fine messages as library events happen (default true)
+     */
+    constructor(library, options = {}) {
+        const {
+            transports = new Map([["console", new ConsoleTransport()]]),
+            preferences = new Map(),
+            templates = new Map(),
+            clock = () => new Date(),
+            dueSoonDays = 2,
+            overdueEveryDays = 7,
+            maxAttempts = 3,
+            retryMinutes = [5, 30],
+            snapshot,
+            listen = true
+        } = options;
+        if (!transports.size) throw new LibraryError('A notifier needs at least one transport', { code: 'NO_TRANSPORT' });
+
+        this.#library = library;
+        this.#transports = transports;
+        this.#preferences = new Map(preferences);
+        this.#templates = templates;
+        this.#clock = clock;
+        this.#dueSoonDays = dueSoonDays;
+        this.#overdueEveryDays = overdueEveryDays;
+        this.#maxAttempts = maxAttempts;
+        this.#retryMinutes = retryMinutes;
+        if (snapshot) this.#restore(snapshot);
+        if (listen) this.#stopListening = this.#listen();
+    }
+
+    // ----------------------
+    // Merge preferences for a patron; returns the effective preferences
+    setPreferences(patronId, preferences) {
+        const { channel } = preferences;
+        if (channel !== undefined && !this.#transports.has(channel)) {
+            throw new LibraryError(`Unknown notification channel "${channel}"`, { code: 'UNKNOWN_CHANNEL', patronId });
+        }
+        this.#preferences.set(patronId, { ...this.#preferences.get(patronId), ...preferences });
+        return this.preferencesFor(patronId);
+    }
+
+    // ----------------------
+    // A patron's preferences with the defaults filled in
+    preferencesFor(patronId) {
+        return {
+            ...defaultNotificationPreferences,
+            channel: this.#transports.keys().next().value,
+            locale: this.#library.locale,
+            ...this.#preferences.get(patronId)
+        };
+    }
+
+    // ----------------------
+    // Messages still waiting for delivery, oldest first
+    get queue() {
+        return this.#queue.map(message => structuredClone(message));
+    }
+
+    // ----------------------
+    // Messages that were sent or failed for good, oldest first
+    get history() {
+        return this.#delivered.map(message => structuredClone(message));
+    }
+
+    /**
+     * Queue a message unless the same one was queued before or the patron muted its type
+     * @param {string} type - One of notificationTypes
+     * @param {string} patronId - Recipient
+     * @param {Object} data - Template values (title, date, fine...); `name` is filled in from the registry
+     * @param {string} [key] - Dedupe key; messages with a key already seen are dropped
+     * @returns {Object|null} The queued message, or null when it was dropped
+     */
+    enqueue(type, patronId, data, key) {
+        if (!notificationTypes.includes(type)) {
+            throw new LibraryError(`Unknown notification type "${type}"`, { code: 'UNKNOWN_NOTIFICATION', patronId });
+        }
+        if (patronId === undefined || (key && this.#keys.has(key))) return null;
+
+        // A muted message doesn't use up its key, so it is still sent if it recurs after the type is unmuted
+        const preferences = this.preferencesFor(patronId);
+        if (preferences.mute.includes(type)) return null;
+        if (key) this.#keys.add(key);
+
+        const name = this.#library.patrons?.getPatron(patronId)?.name ?? patronId;
+        const values = { name, ...data };
+        const { subject, body } = this.#templates.get(type)?.(values, preferences.locale) ?? renderNotification(type, values, preferences.locale);
+        const now = this.#clock();
+        const message = {
+            id: globalThis.crypto.randomUUID(),
+            type,
+            patronId,
+            channel: preferences.channel,
+            to: preferences.address ?? patronId,
+            subject,
+            body,
+            createdAt: now.toISOString(),
+            attempts: 0,
+            nextAttemptAt: now.toISOString(),
+            status: 'queued'
+        };
+        this.#queue.push(message);
+        return message;
+    }
+
+    // ----------------------
+    // Queue messages for the library's current state: holds waiting on the shelf, loans due soon and overdue loans
+    scan() {
+        const today = toISODate(this.#clock());
+        const soon = toISODate(addDays(today, this.#dueSoonDays));
+        let queued = 0;
+        const queue = (...args) => {
+            if (this.enqueue(...args)) queued++;
+        };
+
+        this.#library.books.forEach(book => copiesOf(book).forEach(({ status, heldFor, heldSince, patronId, dueDate, barcode, location }) => {
+            if (status === 'on_hold' && heldFor !== undefined) {
+                const place = location ?? this.#i18n(heldFor).t('location.unknown');
+                queue('holdReady', heldFor, { title: book.title, location: place }, `holdReady:${book.id}:${barcode}:${heldFor}:${heldSince}`);
+            }
+            if (status === 'checked_out' && dueDate >= today && dueDate <= soon) {
+                const { formatDate, formatRelativeDays } = this.#i18n(patronId);
+                const values = { title: book.title, date: formatDate(dueDate), relative: formatRelativeDays(dueDate, today) };
+                queue('dueSoon', patronId, values, `dueSoon:${book.id}:${barcode}:${patronId}:${dueDate}`);
+            }
+        }));
+
+        this.#library.getOverdue().forEach(({ book, barcode, patronId, dueDate, daysOverdue, fine }) => {
+            const { formatDate, formatAmount } = this.#i18n(patronId);
+            const round = Math.floor((daysOverdue - 1) / this.#overdueEveryDays); // Day 1, then every `overdueEveryDays`
+            const values = { title: book.title, date: formatDate(dueDate), count: daysOverdue, fine: formatAmount(fine) };
+            queue('overdue', patronId, values, `overdue:${book.id}:${barcode}:${patronId}:${dueDate}:${round}`);
+        });
+        return queued;
+    }
+
+    /**
+     * Deliver every queued message that is due, skipping patrons in their quiet hours
+     * @returns {Promise<Object>} { sent, deferred, retrying, failed } message counts
+     */
+    async flush() {
+        const now = this.#clock();
+        const report = { sent: 0, deferred: 0, retrying: 0, failed: 0 };
+
+        for (const message of [...this.#queue]) {
+            if (message.nextAttemptAt > now.toISOString()) {
+                report.retrying++;
+                continue;
+            }
+            const { quietHours, timeZone } = this.preferencesFor(message.patronId);
+            if (quietHours && inQuietHours(localTime(now, timeZone), quietHours)) {
+                report.deferred++;
+                continue;
+            }
+
+            message.attempts++;
+            try {
+                const transport = this.#transports.get(message.channel);
+                if (!transport) throw new DeliveryError(`No transport for channel "${message.channel}"`, { messageId: message.id, channel: message.channel });
+                await transport.send(structuredClone(message));
+                this.#settle(message, { status: 'sent', sentAt: now.toISOString() });
+                report.sent++;
+            } catch (error) {
+                message.lastError = error.message;
+                if (message.attempts >= this.#maxAttempts) {
+                    this.#settle(message, { status: 'failed' });
+                    report.failed++;
+                } else {
+                    const wait = this.#retryMinutes[Math.min(message.attempts, this.#retryMinutes.length) - 1] ?? 0;
+                    message.nextAttemptAt = new Date(now.getTime() + wait * 60_000).toISOString();
+                    report.retrying++;
+                }
+            }
+        }
+        return report;
+    }
+
+    // ----------------------
+    // One scheduled-job pass: scan the library, then deliver
+    async run() {
+        const queued = this.scan();
+        return { queued, ...(await this.flush()) };
+    }
+
+    // ----------------------
+    // Plain JSON state to hand to the next run through the `snapshot` option
+    toSnapshot() {
+        return { queue: this.queue, history: this.history, keys: [...this.#keys] };
+    }
+
+    // ----------------------
+    // Stop reacting to library events
+    stop() {
+        this.#stopListening?.();
+        this.#stopListening = undefined;
+    }
+
+    // ----------------------
+    // Private: queue hold-ready and fine messages the moment the library reports them
+    #listen() {
+        const holdReady = ({ book, barcode, heldFor }) => {
+            if (heldFor === undefined) return;
+            const copy = copiesOf(book).find(candidate => candidate.barcode === barcode && candidate.heldFor === heldFor) ??
+                copiesOf(book).find(candidate => candidate.heldFor === heldFor);
+            if (!copy) return;
+            const location = copy.location ?? this.#i18n(heldFor).t('location.unknown');
+            this.enqueue('holdReady', heldFor, { title: book.title, location }, `holdReady:${book.id}:${copy.barcode}:${heldFor}:${copy.heldSince}`);
+        };
+        const stops = [
+            this.#library.on('returned', (event) => {
+                holdReady(event);
+                const { book, barcode, patronId, fine, dueDate } = event;
+                if (!(fine > 0)) return;
+                const { formatAmount } = this.#i18n(patronId);
+                const balance = this.#library.patrons?.getPatron(patronId)?.fineBalance ?? fine;
+                this.enqueue('fineAssessed', patronId, { title: book.title, amount: formatAmount(fine), balance: formatAmount(balance) }, `fineAssessed:${book.id}:${barcode}:${patronId}:${dueDate}`);
+            }),
+            this.#library.on('holdCancelled', holdReady),
+            this.#library.on('copyAdded', holdReady),
+            this.#library.on('transferReceived', holdReady)
+        ];
+        return () => stops.forEach(stop => stop());
+    }
+
+    // ----------------------
+    // Private: formatters in the recipient's language
+    #i18n(patronId) {
+        return i18nFor(this.preferencesFor(patronId).locale);
+    }
+
+    // ----------------------
+    // Private: move a message from the queue to the history
+    #settle(message, changes) {
+        Object.assign(message, changes);
+        this.#queue.splice(this.#queue.indexOf(message), 1);
+        this.#delivered.push(message);
+    }
+
+    // ----------------------
+    // Private: load an earlier snapshot
+    #restore({ queue = [], history = [], keys = [] }) {
+        this.#queue = queue.map(message => structuredClone(message));
+        this.#delivered = history.map(message => structuredClone(message));
+        this.#keys = new Set(keys);
+    }
+}
+
+// ======================
+// Transports
+// ======================
+
+/**
+ * Prints messages; the default transport
+ */
+export class ConsoleTransport {
+    #log;
+
+    constructor(log = console.log) {
+        this.#log = log;
+    }
+
+    send({ to, subject, body }) {
+        this.#log(`✉️  To ${to}: ${subject}\n   ${body}`);
+    }
+}
+
+/**
+ * Keeps messages in memory for tests; `failNext(n)` makes the next n sends fail
+ */
+export class MemoryTransport {
+    sent = [];
+    #failures = 0;
+
+    failNext(count = 1) {
+        this.#failures += count;
+        return this;
+    }
+
+    send(message) {
+        if (this.#failures > 0) {
+            this.#failures--;
+            throw new DeliveryError(`Simulated failure sending ${message.id}`, { messageId: message.id, channel: message.channel });
+        }
+        this.sent.push(message);
+    }
+
+    clear() {
+        this.sent.length = 0;
+    }
+}
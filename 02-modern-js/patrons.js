@@ -0,0 +1,203 @@
+/**
+ * Patron registry module for the Library Management System
+ * Tracks members, their membership tier limits, fine balances and loan history
+ */
+
+import { LibraryError, PatronNotFoundError, BorrowingRestrictedError } from './errors.js';
+import { toISODate } from './dates.js';
+
+// ----------------------
+// Map of membership tiers to their borrowing limits
+export const membershipTiers = new Map([
+    ["standard", { maxLoans: 3 }],
+    ["student", { maxLoans: 5 }],
+    ["premium", { maxLoans: 10 }]
+]);
+
+/**
+ * PatronRegistry stores library members and their loans
+ */
+export class PatronRegistry {
+    #members = new Map(); // patronId -> patron record
+    #loans = new Map(); // patronId -> array of loan records, oldest first
+    #tiers;
+    #fineLimit;
+
+    constructor(initialPatrons = [], { tiers = membershipTiers, fineLimit = 10 } = {}) {
+        this.#tiers = tiers;
+        this.#fineLimit = fineLimit;
+        initialPatrons.forEach(patron => this.register(patron));
+    }
+
+    // ----------------------
+    // Add a member; tier must be known and id must be unique
+    register({ id, name, tier = 'standard', status = 'active', fineBalance = 0 }) {
+        if (this.#members.has(id)) {
+            throw new LibraryError(`Patron ${id} is already registered`, { code: 'DUPLICATE_PATRON', patronId: id });
+        }
+        if (!this.#tiers.has(tier)) {
+            throw new LibraryError(`Unknown membership tier "${tier}"`, { code: 'UNKNOWN_TIER', patronId: id });
+        }
+
+        const patron = { id, name, tier, status, fineBalance };
+        this.#members.set(id, patron);
+        this.#loans.set(id, []);
+        return patron;
+    }
+
+    // ----------------------
+    // Look up a member by id
+    getPatron(patronId) {
+        return this.#members.get(patronId);
+    }
+
+    // ----------------------
+    // All members as an array
+    get patrons() {
+        return [...this.#members.values()];
+    }
+
+    // ----------------------
+    // Suspend or reinstate a member by hand
+    setStatus(patronId, status) {
+        const patron = this.#requirePatron(patronId);
+        patron.status = status;
+        delete patron.suspendedFor;
+        return patron;
+    }
+
+    // ----------------------
+    // Add to a member's fine balance, suspending them once it reaches the fine limit
+    assessFine(patronId, amount) {
+        const patron = this.#requirePatron(patronId);
+        patron.fineBalance += amount;
+        if (patron.fineBalance >= this.#fineLimit && patron.status === 'active') {
+            patron.status = 'suspended';
+            patron.suspendedFor = 'fines';
+        }
+        return patron;
+    }
+
+    // ----------------------
+    // Record a payment; a fines-only suspension lifts once the balance drops below the limit
+    payFine(patronId, amount) {
+        const patron = this.#requirePatron(patronId);
+        patron.fineBalance = Math.max(0, patron.fineBalance - amount);
+        if (patron.suspendedFor === 'fines' && patron.fineBalance < this.#fineLimit) {
+            patron.status = 'active';
+            delete patron.suspendedFor;
+        }
+        return patron;
+    }
+
+    // ----------------------
+    // Loans the member has not returned yet
+    activeLoans(patronId) {
+        this.#requirePatron(patronId);
+        return this.#loans.get(patronId).filter(loan => !loan.returnedAt);
+    }
+
+    // ----------------------
+    // Throw if the member may not take another loan
+    assertCanBorrow(patronId) {
+        const patron = this.#requirePatron(patronId);
+        const { maxLoans } = this.#tiers.get(patron.tier);
+
+        if (patron.status !== 'active') {
+            const reason = patron.suspendedFor === 'fines' ? ` (unpaid fines: ${patron.fineBalance})` : '';
+            throw new BorrowingRestrictedError(`Patron ${patronId} is ${patron.status}${reason}`, { patronId, reason: 'PATRON_SUSPENDED' });
+        }
+        if (this.activeLoans(patronId).length >= maxLoans) {
+            throw new BorrowingRestrictedError(`Patron ${patronId} has reached the ${patron.tier} limit of ${maxLoans} loans`, { patronId, reason: 'LOAN_LIMIT_REACHED' });
+        }
+        return patron;
+    }
+
+    // ----------------------
+    // Boolean form of assertCanBorrow
+    canBorrow(patronId) {
+        try {
+            this.assertCanBorrow(patronId);
+            return true;
+        } catch (err) {
+            if (err instanceof BorrowingRestrictedError) return false;
+            throw err;
+        }
+    }
+
+    // ----------------------
+    // Append a new loan to the member's history
+    recordCheckout(patronId, { bookId, barcode, checkedOutAt, dueDate }) {
+        this.#requirePatron(patronId);
+        const loan = { bookId, ...(barcode && { barcode }), checkedOutAt, dueDate, returnedAt: null };
+        this.#loans.get(patronId).push(loan);
+        return loan;
+    }
+
+    // ----------------------
+    // Move the due date of the member's open loan for a book; `barcode` picks the copy when they have several
+    recordRenewal(patronId, bookId, dueDate, { barcode } = {}) {
+        const loan = this.#openLoan(patronId, bookId, barcode);
+        if (loan) loan.dueDate = dueDate;
+        return loan;
+    }
+
+    // ----------------------
+    // Close the member's open loan for a book; `barcode` picks the copy when they have several
+    recordReturn(patronId, bookId, returnedAt = toISODate(new Date()), { barcode } = {}) {
+        const loan = this.#openLoan(patronId, bookId, barcode);
+        if (loan) loan.returnedAt = returnedAt;
+        return loan;
+    }
+
+    // ----------------------
+    // Loans that were open at any point between `from` and `to` (ISO dates, inclusive)
+    getLoanHistory(patronId, { from, to } = {}) {
+        this.#requirePatron(patronId);
+        return this.#loans.get(patronId)
+            .filter(({ checkedOutAt, returnedAt }) =>
+                (!to || checkedOutAt <= to) && (!from || !returnedAt || returnedAt >= from)
+            )
+            .map(loan => ({ ...loan }));
+    }
+
+    // ----------------------
+    // Every member's loans as one list, oldest checkout first (the input for reports.js)
+    get loans() {
+        return [...this.#loans]
+            .flatMap(([patronId, loans]) => loans.map(loan => ({ patronId, ...loan })))
+            .sort((a, b) => a.checkedOutAt.localeCompare(b.checkedOutAt));
+    }
+
+    // ----------------------
+    // Plain JSON copy of the members (with fine balances) and their loans, as saved in a library snapshot
+    toSnapshot() {
+        return {
+            members: structuredClone(this.patrons),
+            loans: [...this.#loans].map(([patronId, loans]) => [patronId, structuredClone(loans)])
+        };
+    }
+
+    // ----------------------
+    // Replace every member and loan with those of a saved `toSnapshot()`; saved data wins over the initial patrons
+    restore({ members = [], loans = [] }) {
+        this.#members = new Map(members.map(patron => [patron.id, { ...patron }]));
+        this.#loans = new Map(members.map(({ id }) => [id, []]));
+        loans.forEach(([patronId, list]) => this.#loans.set(patronId, list.map(loan => ({ ...loan }))));
+        return this;
+    }
+
+    // ----------------------
+    // Private: the member's open loan of a book, matched on the copy's barcode when one is given
+    #openLoan(patronId, bookId, barcode) {
+        return this.activeLoans(patronId).find(l => l.bookId === bookId && (barcode === undefined || l.barcode === barcode));
+    }
+
+    // ----------------------
+    // Private lookup that fails loudly
+    #requirePatron(patronId) {
+        const patron = this.#members.get(patronId);
+        if (!patron) throw new PatronNotFoundError(patronId);
+        return patron;
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * Query language for the Library Management System
+ *
+ * Object form:
+ *   { where: { author: { contains: 'Martin' }, year: { gte: 2010 }, or: [...], not: {...} },
+ *     sort: ['-year', 'title'], limit: 10, cursor }
+ *
+ * String form (implicit AND, `OR` binds looser, parentheses group, `-` or `NOT` negates):
+ *   author:"Martin" year>=2010 status:available,on_hold -genre:design sort:-year limit:10
+ *
+ * `field:value` matches text fields by (accent-insensitive) substring and other fields by equality,
+ * `field:a,b` is an `in` list, `field=value` is exact, and bare words search title, author and genre.
+ */
+
+import { QuerySyntaxError } from './errors.js';
+import { foldText } from './search.js';
+import { copiesOf, branchesOf } from './inventory.js';
+import { i18nFor } from './i18n.js';
+
+// ----------------------
+// Accessor for a circulation field of every copy, sorted (e.g. a title's due dates, earliest first)
+const copyValues = key => book => [...new Set(copiesOf(book).map(copy => copy[key]).filter(value => value !== undefined))].sort();
+
+// ----------------------
+// Map of queryable field names to accessors on a book; multi-valued fields match when any copy does
+export const queryFields = new Map([
+    ["id", book => book.id],
+    ["title", book => book.title],
+    ["author", book => book.author],
+    ["genre", book => book.genre],
+    ["year", book => book.year],
+    ["status", book => book.availability?.status],
+    ["location", copyValues('location')],
+    ["dueDate", copyValues('dueDate')],
+    ["patronId", copyValues('patronId')],
+    ["branch", book => branchesOf(book)]
+]);
+
+const TEXT_FIELDS = ['title', 'author', 'genre'];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'match'];
+const SYMBOL_OPERATORS = { ':': 'match', '=': 'eq', '!=': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+// ----------------------
+// Case- and accent-insensitive comparison key for strings
+const normalize = value => (typeof value === 'string' ? foldText(value) : value);
+
+// ----------------------
+// Parse "2010" as a number, keep everything else as a string
+const parseValue = raw => (/^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw);
+
+// ----------------------
+// Split a query string into tokens: parens, keywords and field terms
+function scan(source) {
+    const tokens = [];
+    const termPattern = /(-)?(?:([A-Za-z]+)(>=|<=|!=|:|=|>|<))?(?:"([^"]*)"|([^\s()"]+))/y;
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i++ });
+        } else {
+            termPattern.lastIndex = i;
+            const match = termPattern.exec(source);
+            if (!match) {
+                throw new QuerySyntaxError(`Unexpected "${char}" at position ${i}`, { position: i, query: source });
+            }
+            const [text, negated, field, symbol, quoted, bare] = match;
+            const value = quoted ?? bare;
+            // A field and operator with no value would otherwise be read as text ("year>") or as a
+            // comparison with the rest of the operator ("year>= 2000" as year > "=")
+            const dangling = field
+                ? !quoted && /^[=<>]+$/.test(bare) && `${field}${symbol}${bare}`
+                : /^[A-Za-z]+(>=|<=|!=|:|=|>|<)$/.test(bare ?? '') && bare;
+            if (dangling) {
+                throw new QuerySyntaxError(`Missing value after "${dangling}" at position ${i}`, { position: i, query: source });
+            }
+            if (!field && !quoted && ['AND', 'OR', 'NOT'].includes(value) && !negated) {
+                tokens.push({ type: value, position: i });
+            } else {
+                tokens.push({ type: 'term', negated: Boolean(negated), field, symbol, value, quoted: quoted !== undefined, position: i });
+            }
+            i += text.length;
+        }
+    }
+    return tokens;
+}
+
+// ----------------------
+// Turn one `field<op>value` token into a comparison node
+function termToNode({ field, symbol, value, quoted, position }, source) {
+    if (!field) return { type: 'text', value };
+    if (!queryFields.has(field)) {
+        throw new QuerySyntaxError(`Unknown field "${field}" at position ${position}`, { position, query: source });
+    }
+
+    const op = SYMBOL_OPERATORS[symbol];
+    if (op === 'match' && !quoted && value.includes(',')) {
+        return { type: 'cmp', field, op: 'in', value: value.split(',').map(parseValue) };
+    }
+    return { type: 'cmp', field, op, value: quoted ? value : parseValue(value) };
+}
+
+// ----------------------
+// A page size must be a whole number above 0
+function checkLimit(limit, source) {
+    if (limit === Infinity || (Number.isInteger(limit) && limit > 0)) return limit;
+    throw new QuerySyntaxError(`limit must be a whole number above 0, not "${limit}"`, { query: source });
+}
+
+/**
+ * Parse the string form into { where, sort, limit, cursor }
+ * @param {string} source - Query string
+ * @returns {Object} Query object accepted by runQuery
+ */
+export function parseQuery(source) {
+    const tokens = scan(source);
+    const query = { sort: [], limit: undefined, cursor: undefined };
+
+    // Pull out the options terms (sort/limit/after) before building the filter tree
+    const filterTokens = tokens.filter(token => {
+        if (token.type !== 'term' || token.symbol !== ':') return true;
+        if (token.field === 'sort') {
+            query.sort.push(...token.value.split(','));
+        } else if (token.field === 'limit') {
+            query.limit = checkLimit(parseValue(token.value), source);
+        } else if (token.field === 'after') {
+            query.cursor = token.value;
+        } else {
+            return true;
+        }
+        return false;
+    });
+
+    let index = 0;
+    const peek = () => filterTokens[index];
+
+    const parseOr = () => {
+        const nodes = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            index++;
+            nodes.push(parseAnd());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    };
+
+    const parseAnd = () => {
+        const nodes = [];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') {
+                index++;
+                continue;
+            }
+            nodes.push(parseUnary());
+        }
+        if (!nodes.length) {
+            const position = peek()?.position ?? source.length;
+            throw new QuerySyntaxError(`Expected a condition at position ${position}`, { position, query: source });
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    };
+
+    const parseUnary = () => {
+        const token = filterTokens[index++];
+        if (!token || token.type === 'AND' || token.type === 'OR') {
+            const position = token?.position ?? source.length;
+            throw new QuerySyntaxError(`Expected a condition at position ${position}`, { position, query: source });
+        }
+        if (token.type === 'NOT') return { type: 'not', node: parseUnary() };
+        if (token.type === '(') {
+            const node = parseOr();
+            if (peek()?.type !== ')') {
+                throw new QuerySyntaxError(`Unclosed "(" at position ${token.position}`, { position: token.position, query: source });
+            }
+            index++;
+            return node;
+        }
+        if (token.type === ')') {
+            throw new QuerySyntaxError(`Unexpected ")" at position ${token.position}`, { position: token.position, query: source });
+        }
+        const node = termToNode(token, source);
+        return token.negated ? { type: 'not', node } : node;
+    };
+
+    if (filterTokens.length) {
+        query.where = parseOr();
+        if (index < filterTokens.length) {
+            const { position } = filterTokens[index];
+            throw new QuerySyntaxError(`Unexpected ")" at position ${position}`, { position, query: source });
+        }
+    }
+    return query;
+}
+
+// ----------------------
+// Convert the object form of `where` into the node tree used by the string parser
+function whereToNode(where) {
+    if (!where) return null;
+    if (where.type) return where; // Already a node tree
+
+    const nodes = Object.entries(where).flatMap(([key, value]) => {
+        if (key === 'and' || key === 'or') return [{ type: key, nodes: value.map(whereToNode) }];
+        if (key === 'not') return [{ type: 'not', node: whereToNode(value) }];
+        if (key === 'text') return [{ type: 'text', value }];
+        if (!queryFields.has(key)) throw new QuerySyntaxError(`Unknown field "${key}"`);
+
+        if (Array.isArray(value)) return [{ type: 'cmp', field: key, op: 'in', value }];
+        if (value === null || typeof value !== 'object') return [{ type: 'cmp', field: key, op: 'eq', value }];
+        return Object.entries(value).map(([op, operand]) => {
+            if (!OPERATORS.includes(op)) throw new QuerySyntaxError(`Unknown operator "${op}" on "${key}"`);
+            return { type: 'cmp', field: key, op, value: operand };
+        });
+    });
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+}
+
+// ----------------------
+// Names of the fields a query (either form) filters or sorts on
+export function fieldsOf(query = {}) {
+    const { where, sort = [] } = typeof query === 'string' ? parseQuery(query) : query;
+    const fields = new Set((typeof sort === 'string' ? sort.split(',') : sort).filter(Boolean).map(key => key.replace(/^[-+]/, '')));
+    const visit = node => {
+        if (!node) return;
+        if (node.type === 'cmp') fields.add(node.field);
+        node.nodes?.forEach(visit);
+        visit(node.node);
+    };
+    visit(whereToNode(where));
+    return fields;
+}
+
+// ----------------------
+// Evaluate one comparison against a field value
+function compare(actual, op, expected) {
+    const a = normalize(actual);
+    const b = Array.isArray(expected) ? expected.map(normalize) : normalize(expected);
+
+    switch (op) {
+        case 'eq': return a === b;
+        case 'ne': return a !== b;
+        case 'gt': return a !== undefined && a > b;
+        case 'gte': return a !== undefined && a >= b;
+        case 'lt': return a !== undefined && a < b;
+        case 'lte': return a !== undefined && a <= b;
+        case 'in': return b.includes(a);
+        case 'contains': return typeof a === 'string' && a.includes(String(b));
+        case 'match': return typeof a === 'string' ? a.includes(String(b)) : a === b;
+        default: return false;
+    }
+}
+
+// ----------------------
+// Build a predicate from a node tree
+export function compileFilter(node) {
+    if (!node) return () => true;
+
+    switch (node.type) {
+        case 'and': {
+            const predicates = node.nodes.map(compileFilter);
+            return book => predicates.every(test => test(book));
+        }
+        case 'or': {
+            const predicates = node.nodes.map(compileFilter);
+            return book => predicates.some(test => test(book));
+        }
+        case 'not': {
+            const predicate = compileFilter(node.node);
+            return book => !predicate(book);
+        }
+        case 'text':
+            return book => TEXT_FIELDS.some(field => compare(book[field], 'contains', node.value));
+        case 'cmp': {
+            const read = queryFields.get(node.field);
+            return book => {
+                const actual = read(book);
+                return Array.isArray(actual)
+                    ? actual.some(value => compare(value, node.op, node.value))
+                    : compare(actual, node.op, node.value);
+            };
+        }
+        default:
+            throw new QuerySyntaxError(`Unknown query node "${node.type}"`);
+    }
+}
+
+// ----------------------
+// Build a comparator from ['-year', 'title']; id is always the final tie-breaker.
+// Text is ordered with the collation of `locale` (e.g. "Émile" sorts with the E's); multi-valued fields sort by their first value.
+export function compileSort(sort = [], { locale } = {}) {
+    const { compare: compareText } = i18nFor(locale);
+    const keys = (typeof sort === 'string' ? sort.split(',') : sort).filter(Boolean).map(key => {
+        const descending = key.startsWith('-');
+        const field = key.replace(/^[-+]/, '');
+        if (!queryFields.has(field)) throw new QuerySyntaxError(`Cannot sort by unknown field "${field}"`);
+        const read = queryFields.get(field);
+        return { read: book => [read(book)].flat()[0], direction: descending ? -1 : 1 };
+    });
+    keys.push({ read: queryFields.get('id'), direction: 1 });
+
+    return (a, b) => {
+        for (const { read, direction } of keys) {
+            const [x, y] = [read(a), read(b)];
+            if (x === y) continue;
+            if (x === undefined) return 1; // Missing values sort last either way
+            if (y === undefined) return -1;
+            const order = typeof x === 'string' ? compareText(x, y) : x < y ? -1 : 1;
+            if (order) return order * direction;
+        }
+        return 0;
+    };
+}
+
+// ----------------------
+// Opaque cursors: the id of the last book on the previous page
+export const encodeCursor = book => btoa(JSON.stringify({ id: book.id }));
+const invalidCursor = (cursor, reason) => new QuerySyntaxError(`Invalid cursor "${cursor}"${reason ? `: ${reason}` : ''}`, { code: 'INVALID_CURSOR' });
+const decodeCursor = (cursor) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(atob(cursor));
+    } catch {
+        throw invalidCursor(cursor);
+    }
+    if (decoded?.id === undefined) throw invalidCursor(cursor);
+    return decoded;
+};
+
+/**
+ * Filter, sort and paginate books
+ * @param {Array} bookArray - Books to query
+ * @param {Object|string} query - Query object or string form
+ * @param {Object} [options] - { locale } whose collation orders text sort keys
+ * @returns {Object} { items, total, offset, limit, nextCursor }
+ */
+export function runQuery(bookArray, query = {}, { locale } = {}) {
+    const { where, sort, limit = Infinity, cursor } = typeof query === 'string' ? parseQuery(query) : query;
+    checkLimit(limit);
+    const comparator = compileSort(sort, { locale });
+    const matches = bookArray.filter(compileFilter(whereToNode(where))).sort(comparator);
+
+    let offset = 0;
+    if (cursor) {
+        const { id } = decodeCursor(cursor);
+        const last = bookArray.find(book => book.id === id);
+        // Restarting at the first page would repeat results, so a cursor whose book is gone is an error
+        if (!last) throw invalidCursor(cursor, `book ${id} no longer exists`);
+        // Resume after where the last book sorts now, even if it no longer matches the filter
+        offset = matches.filter(book => comparator(book, last) <= 0).length;
+    }
+
+    const items = matches.slice(offset, offset + limit);
+    const hasMore = offset + items.length < matches.length;
+    return {
+        items,
+        total: matches.length,
+        offset,
+        limit,
+        nextCursor: hasMore && items.length ? encodeCursor(items.at(-1)) : null
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Recommendations for the Library Management System
+ *
+ * "Patrons who borrowed this also borrowed": candidates are scored from co-borrowing (how many
+ * patrons borrowed both titles), a shared author or genre, and recent demand. For a patron, each
+ * title they have borrowed seeds the scores, with newer loans counting more. Every suggestion
+ * carries its reasons and a one-line explanation ("Because you borrowed Clean Architecture: also by
+ * Robert C. Martin"). Without history to go on, the remaining places are filled by overall loans,
+ * then newest publication year, then title, so the same catalog always gives the same answer.
+ *
+ * Like reports.js, this works on a context of { books, loans } (see `reportContext`).
+ */
+
+import { BookNotFoundError } from './errors.js';
+import { toISODate, daysBetween } from './dates.js';
+import { copiesOf } from './inventory.js';
+
+// ----------------------
+// Default weight of each signal; a co-borrowing patron counts more than a shared author or genre
+export const defaultRecommendationWeights = { coBorrowed: 3, sameAuthor: 2, sameGenre: 1, recentLoan: 0.5 };
+
+const round = value => Math.round(value * 100) / 100;
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// ----------------------
+// Map of bookId -> Set of patron ids who have borrowed it
+function borrowersByBook(loans) {
+    return loans.reduce((acc, { bookId, patronId }) => {
+        if (!acc.has(bookId)) acc.set(bookId, new Set());
+        acc.get(bookId).add(patronId);
+        return acc;
+    }, new Map());
+}
+
+// ----------------------
+// How much `candidate` resembles `seed`, with a reason for every signal that contributed
+function similarity(seed, candidate, borrowers, weights) {
+    const seedBorrowers = borrowers.get(seed.id) ?? new Set();
+    const shared = [...(borrowers.get(candidate.id) ?? [])].filter(patronId => seedBorrowers.has(patronId)).length;
+    const reasons = [
+        shared && { type: 'coBorrowed', score: shared * weights.coBorrowed, text: `borrowed alongside it by ${plural(shared, 'patron')}` },
+        candidate.author && candidate.author === seed.author && { type: 'sameAuthor', score: weights.sameAuthor, text: `also by ${candidate.author}` },
+        candidate.genre && candidate.genre === seed.genre && { type: 'sameGenre', score: weights.sameGenre, text: `also ${candidate.genre}` }
+    ].filter(Boolean);
+    return { score: reasons.reduce((sum, reason) => sum + reason.score, 0), reasons };
+}
+
+// ----------------------
+// Loans of each book within `recentDays` of `asOf`
+function recentDemand(loans, asOf, recentDays) {
+    return loans
+        .filter(({ checkedOutAt }) => daysBetween(checkedOutAt, asOf) <= recentDays)
+        .reduce((counts, { bookId }) => counts.set(bookId, (counts.get(bookId) ?? 0) + 1), new Map());
+}
+
+// ----------------------
+// Most loans first, then the newest publication, then title and id
+function fallbackOrder(loans) {
+    const counts = loans.reduce((acc, { bookId }) => acc.set(bookId, (acc.get(bookId) ?? 0) + 1), new Map());
+    const loansOf = book => counts.get(book.id) ?? 0;
+    return {
+        loansOf,
+        compare: (a, b) => loansOf(b) - loansOf(a) || (b.year ?? -Infinity) - (a.year ?? -Infinity) ||
+            a.title.localeCompare(b.title, 'en') || String(a.id).localeCompare(String(b.id), 'en', { numeric: true })
+    };
+}
+
+// ----------------------
+// Rank scored candidates, then fill any remaining places from the fallback order
+function rank(books, scored, loans, { exclude, limit }) {
+    const { loansOf, compare } = fallbackOrder(loans);
+    const ranked = [...scored.values()]
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || compare(a.book, b.book))
+        .slice(0, limit)
+        .map(suggestion => ({ ...suggestion, score: round(suggestion.score) }));
+
+    const fallback = books
+        .filter(book => !exclude.has(book.id) && !ranked.some(suggestion => suggestion.book === book))
+        .sort(compare)
+        .slice(0, limit - ranked.length)
+        .map((book) => {
+            const count = loansOf(book);
+            const reason = count
+                ? { type: 'popular', score: 0, text: `borrowed ${plural(count, 'time')}` }
+                : { type: 'catalog', score: 0, text: book.year ? `published ${book.year}` : 'in the collection' };
+            return { book, score: 0, reasons: [reason], explanation: count ? `Popular: ${reason.text}` : `From the collection: ${reason.text}`, fallback: true };
+        });
+
+    return [...ranked, ...fallback];
+}
+
+// ----------------------
+// Add recent-demand points and reasons to every candidate
+function addRecency(scored, books, loans, { asOf, recentDays, weights }) {
+    const recent = recentDemand(loans, asOf, recentDays);
+    books.forEach((book) => {
+        const suggestion = scored.get(book.id);
+        const count = recent.get(book.id);
+        if (!suggestion || !count) return;
+        suggestion.score += count * weights.recentLoan;
+        suggestion.reasons.push({ type: 'recentLoan', score: count * weights.recentLoan, text: `borrowed ${plural(count, 'time')} in the last ${recentDays} days` });
+    });
+}
+
+/**
+ * Titles to suggest to someone looking at a book
+ * @param {Object} context - { books, loans }
+ * @param {number} bookId - Book the suggestions are for
+ * @param {Object} [options] - { limit, weights, recentDays, asOf } where `asOf` is an ISO date (defaults to today)
+ * @returns {Array} [{ book, score, reasons: [{ type, score, text }], explanation, fallback? }], best first
+ */
+export function recommendForBook({ books, loans = [] }, bookId, options = {}) {
+    const { limit = 5, weights = defaultRecommendationWeights, recentDays = 90, asOf = toISODate(new Date()) } = options;
+    const seed = books.find(({ id }) => id === bookId);
+    if (!seed) throw new BookNotFoundError(bookId);
+
+    const borrowers = borrowersByBook(loans);
+    const scored = new Map();
+    books.filter(book => book !== seed).forEach((book) => {
+        const { score, reasons } = similarity(seed, book, borrowers, weights);
+        if (score) scored.set(book.id, { book, score, reasons });
+    });
+    addRecency(scored, books, loans, { asOf, recentDays, weights });
+    scored.forEach((suggestion) => {
+        const text = suggestion.reasons.map(reason => reason.text).join(', ');
+        suggestion.explanation = `Similar to ${seed.title}: ${text}`;
+    });
+
+    return rank(books, scored, loans, { exclude: new Set([seed.id]), limit });
+}
+
+/**
+ * Titles to suggest to a patron, from everything they have borrowed; titles they already had or have on loan now
+ * (from the loan history or the books' copies, which also cover loans made before the registry) are left out
+ * @param {Object} context - { books, loans }
+ * @param {string} patronId - Patron the suggestions are for
+ * @param {Object} [options] - { limit, weights, halfLifeDays, recentDays, asOf }; a loan `halfLifeDays` old
+ *                             counts half as much as one taken out on `asOf`
+ * @returns {Array} [{ book, score, reasons, explanation, because, fallback? }], best first; `because` lists
+ *                  the patron's titles that led to the suggestion, the strongest first
+ */
+export function recommendForPatron({ books, loans = [] }, patronId, options = {}) {
+    const { limit = 5, weights = defaultRecommendationWeights, halfLifeDays = 60, recentDays = 90, asOf = toISODate(new Date()) } = options;
+    const lastBorrowed = new Map(); // bookId -> latest checkout by this patron
+    const onLoan = books.flatMap(book => copiesOf(book)
+        .filter(copy => copy.status === 'checked_out' && copy.patronId === patronId)
+        .map(({ checkedOutAt = asOf }) => ({ bookId: book.id, checkedOutAt })));
+    [...loans.filter(loan => loan.patronId === patronId), ...onLoan].forEach(({ bookId, checkedOutAt }) => {
+        const previous = lastBorrowed.get(bookId);
+        if (previous === undefined || checkedOutAt > previous) lastBorrowed.set(bookId, checkedOutAt);
+    });
+
+    const borrowers = borrowersByBook(loans);
+    const seeds = books
+        .filter(({ id }) => lastBorrowed.has(id))
+        .map(book => ({ book, decay: 0.5 ** (Math.max(0, daysBetween(lastBorrowed.get(book.id), asOf)) / halfLifeDays) }));
+
+    const scored = new Map();
+    books.filter(({ id }) => !lastBorrowed.has(id)).forEach((book) => {
+        const contributions = seeds
+            .map(({ book: seed, decay }) => {
+                const { score, reasons } = similarity(seed, book, borrowers, weights);
+                return { seed, score: score * decay, reasons: reasons.map(reason => ({ ...reason, score: round(reason.score * decay) })) };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
+        if (!contributions.length) return;
+
+        const [strongest] = contributions;
+        scored.set(book.id, {
+            book,
+            score: contributions.reduce((sum, { score }) => sum + score, 0),
+            reasons: strongest.reasons,
+            because: contributions.map(({ seed }) => seed.title)
+        });
+    });
+    addRecency(scored, books, loans, { asOf, recentDays, weights });
+    scored.forEach((suggestion) => {
+        const text = suggestion.reasons.map(reason => reason.text).join(', ');
+        suggestion.explanation = `Because you borrowed ${suggestion.because[0]}: ${text}`;
+    });
+
+    return rank(books, scored, loans, { exclude: new Set(lastBorrowed.keys()), limit });
+}
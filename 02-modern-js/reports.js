@@ -0,0 +1,293 @@
+/**
+ * Reporting and analytics for the Library Management System
+ *
+ * Reports are plain data - { name, title, columns: [{ key, label }], rows, summary } - built from a
+ * context of { books, loans }, where loans are `PatronRegistry#loans` records
+ * ({ patronId, bookId, checkedOutAt, dueDate, returnedAt }). Show them with `displayReport` (ui.js)
+ * or render them with `reportToCSV` / `reportToMarkdown`.
+ */
+
+import { LibraryError } from './errors.js';
+import { toISODate, daysBetween } from './dates.js';
+import { copiesOf } from './inventory.js';
+import { quoteCSV } from './formats.js';
+
+// ----------------------
+// Bucket keys for circulation over time
+export const reportPeriods = new Map([
+    ["month", date => date.slice(0, 7)],
+    ["year", date => date.slice(0, 4)]
+]);
+
+// ----------------------
+// Age bands for the collection age profile: [lowest age, highest age, label]
+const AGE_BANDS = [
+    [0, 4, '0-4 years'],
+    [5, 9, '5-9 years'],
+    [10, 19, '10-19 years'],
+    [20, Infinity, '20+ years']
+];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const average = values => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// ----------------------
+// Middle value of a list of numbers (mean of the two middle values for even counts)
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// ----------------------
+// Number of loans per book id
+const countLoans = loans => loans.reduce((counts, { bookId }) => counts.set(bookId, (counts.get(bookId) ?? 0) + 1), new Map());
+
+// ----------------------
+// Build a report context from a LibraryManager; loans need a patron registry
+export function reportContext(library) {
+    return { books: library.books, loans: library.patrons?.loans ?? [] };
+}
+
+/**
+ * Loans per title in each month (or year), busiest titles first
+ * @param {Object} context - { books, loans }
+ * @param {Object} [options] - { period: 'month' | 'year', from, to } with ISO dates bounding the checkout date
+ * @returns {Object} Report
+ */
+export function circulationByTitle({ books, loans = [] }, { period = 'month', from, to } = {}) {
+    const keyOf = reportPeriods.get(period);
+    if (!keyOf) {
+        throw new LibraryError(`Unknown report period "${period}"; use ${[...reportPeriods.keys()].join(' or ')}`, { code: 'UNKNOWN_PERIOD' });
+    }
+
+    const inRange = loans.filter(({ checkedOutAt }) => (!from || checkedOutAt >= from) && (!to || checkedOutAt <= to));
+    const periods = [...new Set(inRange.map(({ checkedOutAt }) => keyOf(checkedOutAt)))].sort();
+    const rows = books
+        .map(({ id, title }) => {
+            const counts = Object.fromEntries(periods.map(key => [key, 0]));
+            const own = inRange.filter(({ bookId }) => bookId === id);
+            own.forEach(({ checkedOutAt }) => counts[keyOf(checkedOutAt)]++);
+            return { bookId: id, title, ...counts, total: own.length };
+        })
+        .sort((a, b) => b.total - a.total || a.title.localeCompare(b.title));
+
+    return {
+        name: 'circulation',
+        title: `Circulation by Title (per ${period})`,
+        columns: [
+            { key: 'bookId', label: 'Id' },
+            { key: 'title', label: 'Title' },
+            ...periods.map(key => ({ key, label: key })),
+            { key: 'total', label: 'Total' }
+        ],
+        rows,
+        summary: { loans: inRange.length, periods: periods.length, from: from ?? periods[0], to: to ?? periods.at(-1) }
+    };
+}
+
+/**
+ * Titles ranked by number of loans
+ * @param {Object} context - { books, loans }
+ * @param {Object} [options] - { limit }
+ * @returns {Object} Report
+ */
+export function mostBorrowed({ books, loans = [] }, { limit = 10 } = {}) {
+    const counts = countLoans(loans);
+    const rows = books
+        .filter(({ id }) => counts.has(id))
+        .map(({ id, title, author }) => ({ bookId: id, title, author, loans: counts.get(id) }))
+        .sort((a, b) => b.loans - a.loans || a.title.localeCompare(b.title))
+        .slice(0, limit)
+        .map((row, index) => ({ rank: index + 1, ...row }));
+
+    return {
+        name: 'most-borrowed',
+        title: 'Most Borrowed Titles',
+        columns: [
+            { key: 'rank', label: '#' },
+            { key: 'bookId', label: 'Id' },
+            { key: 'title', label: 'Title' },
+            { key: 'author', label: 'Author' },
+            { key: 'loans', label: 'Loans' }
+        ],
+        rows,
+        summary: { loans: loans.length, titlesBorrowed: counts.size }
+    };
+}
+
+/**
+ * Titles that have never been lent, oldest first
+ * @param {Object} context - { books, loans }
+ * @returns {Object} Report
+ */
+export function neverBorrowed({ books, loans = [] }) {
+    const counts = countLoans(loans);
+    const rows = books
+        .filter(({ id }) => !counts.has(id))
+        .map(({ id, title, author, year, ...book }) => ({ bookId: id, title, author, year, copies: copiesOf(book).length }))
+        .sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity));
+
+    return {
+        name: 'never-borrowed',
+        title: 'Never Borrowed',
+        columns: [
+            { key: 'bookId', label: 'Id' },
+            { key: 'title', label: 'Title' },
+            { key: 'author', label: 'Author' },
+            { key: 'year', label: 'Year' },
+            { key: 'copies', label: 'Copies' }
+        ],
+        rows,
+        summary: { titles: rows.length, shareOfCollection: books.length ? `${round((rows.length / books.length) * 100)}%` : null }
+    };
+}
+
+/**
+ * Days between checkout and return, per title and overall; open loans are left out
+ * @param {Object} context - { books, loans }
+ * @returns {Object} Report
+ */
+export function loanDuration({ books, loans = [] }) {
+    const returned = loans.filter(({ returnedAt }) => returnedAt);
+    const days = ({ checkedOutAt, returnedAt }) => daysBetween(checkedOutAt, returnedAt);
+    const rows = books
+        .map(({ id, title }) => {
+            const durations = returned.filter(({ bookId }) => bookId === id).map(days);
+            return { bookId: id, title, loans: durations.length, averageDays: average(durations), longestDays: durations.length ? Math.max(...durations) : null };
+        })
+        .filter(({ loans: count }) => count)
+        .sort((a, b) => b.averageDays - a.averageDays);
+    const all = returned.map(days);
+
+    return {
+        name: 'loan-duration',
+        title: 'Average Loan Duration',
+        columns: [
+            { key: 'bookId', label: 'Id' },
+            { key: 'title', label: 'Title' },
+            { key: 'loans', label: 'Returned loans' },
+            { key: 'averageDays', label: 'Average days' },
+            { key: 'longestDays', label: 'Longest days' }
+        ],
+        rows,
+        summary: { returnedLoans: all.length, openLoans: loans.length - all.length, averageDays: average(all), medianDays: median(all) }
+    };
+}
+
+/**
+ * Loans per copy for each genre, the busiest genres first
+ * @param {Object} context - { books, loans }
+ * @returns {Object} Report
+ */
+export function genreTurnover({ books, loans = [] }) {
+    const counts = countLoans(loans);
+    const byGenre = books.reduce((acc, book) => {
+        const genre = book.genre ?? 'Uncategorized';
+        acc[genre] ??= { genre, titles: 0, copies: 0, loans: 0 };
+        acc[genre].titles++;
+        acc[genre].copies += copiesOf(book).length;
+        acc[genre].loans += counts.get(book.id) ?? 0;
+        return acc;
+    }, {});
+    const rows = Object.values(byGenre)
+        .map(row => ({ ...row, turnover: row.copies ? round(row.loans / row.copies, 2) : null }))
+        .sort((a, b) => (b.turnover ?? -1) - (a.turnover ?? -1));
+
+    return {
+        name: 'genre-turnover',
+        title: 'Genre Turnover (loans per copy)',
+        columns: [
+            { key: 'genre', label: 'Genre' },
+            { key: 'titles', label: 'Titles' },
+            { key: 'copies', label: 'Copies' },
+            { key: 'loans', label: 'Loans' },
+            { key: 'turnover', label: 'Turnover' }
+        ],
+        rows,
+        summary: { genres: rows.length, busiest: rows[0]?.genre ?? null }
+    };
+}
+
+/**
+ * Titles by age since publication
+ * @param {Object} context - { books }
+ * @param {Object} [options] - { asOf } ISO date the ages are measured at (defaults to today)
+ * @returns {Object} Report
+ */
+export function collectionAge({ books }, { asOf = toISODate(new Date()) } = {}) {
+    const currentYear = Number(asOf.slice(0, 4));
+    const dated = books.filter(({ year }) => Number.isInteger(year));
+    const ages = dated.map(({ year }) => currentYear - year);
+    const share = count => (books.length ? `${round((count / books.length) * 100)}%` : '0%');
+
+    const rows = AGE_BANDS.map(([low, high, band]) => {
+        const titles = ages.filter(age => age >= low && age <= high).length;
+        return { band, titles, share: share(titles) };
+    });
+    if (dated.length < books.length) {
+        rows.push({ band: 'Unknown', titles: books.length - dated.length, share: share(books.length - dated.length) });
+    }
+    const byYear = [...dated].sort((a, b) => a.year - b.year);
+
+    return {
+        name: 'collection-age',
+        title: `Collection Age Profile (as of ${asOf})`,
+        columns: [
+            { key: 'band', label: 'Age' },
+            { key: 'titles', label: 'Titles' },
+            { key: 'share', label: 'Share' }
+        ],
+        rows,
+        summary: {
+            averageAge: average(ages),
+            medianAge: median(ages),
+            oldest: byYear[0] ? `${byYear[0].title} (${byYear[0].year})` : null,
+            newest: byYear.at(-1) ? `${byYear.at(-1).title} (${byYear.at(-1).year})` : null
+        }
+    };
+}
+
+// ----------------------
+// Report registry used to look reports up by name
+export const reports = new Map([
+    ["circulation", circulationByTitle],
+    ["most-borrowed", mostBorrowed],
+    ["never-borrowed", neverBorrowed],
+    ["loan-duration", loanDuration],
+    ["genre-turnover", genreTurnover],
+    ["collection-age", collectionAge]
+]);
+
+// ----------------------
+// "averageDays" -> "Average days", for summary keys
+export const summaryLabel = key => key.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/^./, first => first.toUpperCase());
+
+// ----------------------
+// Render a report as CSV with a header row of column labels
+export function reportToCSV({ columns, rows }, { delimiter = ',' } = {}) {
+    const lines = [
+        columns.map(({ label }) => quoteCSV(label, delimiter)).join(delimiter),
+        ...rows.map(row => columns.map(({ key }) => quoteCSV(row[key], delimiter)).join(delimiter))
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+// ----------------------
+// Render a report as a Markdown heading, table (numbers right-aligned) and summary list
+export function reportToMarkdown({ title, columns, rows, summary = {} }) {
+    const cell = value => String(value ?? '').replaceAll('|', '\\|').replace(/\r?\n/g, ' ');
+    const numeric = ({ key }) => rows.length > 0 && rows.every(row => row[key] === null || typeof row[key] === 'number');
+
+    const lines = [
+        `## ${title}`,
+        '',
+        `| ${columns.map(({ label }) => cell(label)).join(' | ')} |`,
+        `| ${columns.map(column => (numeric(column) ? '---:' : '---')).join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(({ key }) => cell(row[key])).join(' | ')} |`)
+    ];
+    const facts = Object.entries(summary).filter(([, value]) => value !== null && value !== undefined);
+    if (facts.length) lines.push('', ...facts.map(([key, value]) => `- **${summaryLabel(key)}:** ${cell(value)}`));
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,158 @@
+/**
+ * Book schema for the Library Management System
+ * A declarative description of valid book records, with field-level validation and normalization
+ */
+
+import { categoryDescriptions, branches } from './data.js';
+import { foldText } from './search.js';
+import { copyConditions } from './inventory.js';
+
+// ----------------------
+// Circulation states a book (or one of its copies) may be in
+export const bookStatuses = ['available', 'checked_out', 'on_hold', 'in_transit'];
+
+// ----------------------
+// ISBN-10 (last digit may be X) or ISBN-13 with a valid check digit; hyphens and spaces are ignored
+export function isValidISBN(value) {
+    const isbn = String(value).replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        const sum = [...isbn].reduce((acc, char, i) => acc + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+        return sum % 11 === 0;
+    }
+    if (/^\d{13}$/.test(isbn)) {
+        const sum = [...isbn].reduce((acc, char, i) => acc + Number(char) * (i % 2 ? 3 : 1), 0);
+        return sum % 10 === 0;
+    }
+    return false;
+}
+
+/**
+ * Field rules; each may set:
+ *   type      'string' | 'integer' | 'object' | 'array' | 'id'
+ *   required  the field must be present
+ *   oneOf     allowed values (array, or function returning one)
+ *   min/max   inclusive numeric range (number, or function of { now } returning one)
+ *   pattern   RegExp a string must match
+ *   check     extra predicate, with `checkMessage` on failure
+ *   fields    nested rules for objects
+ *   items     rules applied to every object in an array
+ */
+export const bookSchema = {
+    id: { type: 'id' },
+    isbn: { type: 'string', check: isValidISBN, checkMessage: 'is not a valid ISBN-10 or ISBN-13' },
+    title: { type: 'string', required: true },
+    author: { type: 'string', required: true },
+    year: { type: 'integer', min: 1450, max: ({ now }) => now.getFullYear() + 1 },
+    genre: { type: 'string', oneOf: () => [...categoryDescriptions.keys()] },
+    availability: {
+        type: 'object',
+        fields: {
+            status: { type: 'string', required: true, oneOf: bookStatuses },
+            location: { type: 'string' },
+            dueDate: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+        }
+    },
+    copies: {
+        type: 'array',
+        check: copies => new Set(copies.map(({ barcode }) => barcode)).size === copies.length,
+        checkMessage: 'must not repeat a barcode',
+        items: {
+            barcode: { type: 'string', required: true },
+            branch: { type: 'string', required: true, oneOf: () => [...branches.keys()] },
+            location: { type: 'string' },
+            condition: { type: 'string', oneOf: copyConditions },
+            status: { type: 'string', required: true, oneOf: bookStatuses },
+            dueDate: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+        }
+    }
+};
+
+// Rule values given as functions are computed per validation, from { now } (the clock's current date)
+const resolve = (value, context) => (typeof value === 'function' ? value(context) : value);
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string' && value.trim() !== '',
+    integer: value => Number.isInteger(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    id: value => Number.isInteger(value) || (typeof value === 'string' && value !== '')
+};
+
+/**
+ * Validate a book against a schema
+ * @param {Object} book - Book record
+ * @param {Object} [schema] - Field rules
+ * @param {string} [prefix] - Path prefix for nested fields
+ * @param {Object} [options] - { clock } returning the current Date, e.g. a LibraryManager's injected clock
+ * @returns {Array} [{ field, code, message }], empty when valid
+ */
+export function validateBook(book, schema = bookSchema, prefix = '', { clock = () => new Date() } = {}) {
+    const context = { now: clock() };
+    const errors = [];
+    const fail = (field, code, message) => errors.push({ field: `${prefix}${field}`, code, message });
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = book?.[field];
+        if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+            if (rule.required) fail(field, 'required', 'is required');
+            return;
+        }
+        if (!TYPE_CHECKS[rule.type](value)) {
+            fail(field, 'type', `must be ${rule.type === 'id' ? 'an integer or non-empty string' : `a${/^[aeiou]/.test(rule.type) ? 'n' : ''} ${rule.type}`}`);
+            return;
+        }
+
+        const allowed = resolve(rule.oneOf, context);
+        if (allowed && !allowed.includes(value)) fail(field, 'enum', `must be one of ${allowed.join(', ')}`);
+
+        const [min, max] = [resolve(rule.min, context), resolve(rule.max, context)];
+        if (min !== undefined && value < min) fail(field, 'range', `must be at least ${min}`);
+        if (max !== undefined && value > max) fail(field, 'range', `must be at most ${max}`);
+
+        if (rule.pattern && !rule.pattern.test(value)) fail(field, 'format', `must match ${rule.pattern}`);
+        if (rule.check && !rule.check(value)) fail(field, 'check', rule.checkMessage ?? 'is invalid');
+        if (rule.fields) errors.push(...validateBook(value, rule.fields, `${prefix}${field}.`, { clock: () => context.now }));
+        if (rule.items) value.forEach((item, i) => errors.push(...validateBook(item, rule.items, `${prefix}${field}[${i}].`, { clock: () => context.now })));
+    });
+
+    return errors;
+}
+
+// ----------------------
+// "martin, robert c." -> "Robert C. Martin"; mixed-case names only get whitespace tidied
+export function normalizeAuthor(name) {
+    let result = name.trim().replace(/\s+/g, ' ');
+    const inverted = /^([^,]+),\s*([^,]+)$/.exec(result);
+    if (inverted) result = `${inverted[2]} ${inverted[1]}`;
+
+    if (result === result.toLowerCase() || result === result.toUpperCase()) {
+        result = result.toLowerCase().replace(/(^|[\s.'-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase());
+    }
+    return result;
+}
+
+// ----------------------
+// Match a genre to the spelling used in categoryDescriptions, ignoring case and accents
+export function normalizeGenre(genre, genres = [...categoryDescriptions.keys()]) {
+    const trimmed = genre.trim().replace(/\s+/g, ' ');
+    return genres.find(known => foldText(known) === foldText(trimmed)) ?? trimmed;
+}
+
+/**
+ * Return a tidied copy of a (possibly partial) book: trimmed strings, canonical author and genre,
+ * numeric years from strings, and hyphen-free ISBNs
+ * @param {Object} book - Book record or partial update
+ * @returns {Object} Normalized copy
+ */
+export function normalizeBook(book) {
+    const normalized = { ...book };
+    if (typeof normalized.title === 'string') normalized.title = normalized.title.trim().replace(/\s+/g, ' ');
+    if (typeof normalized.author === 'string') normalized.author = normalizeAuthor(normalized.author);
+    if (typeof normalized.genre === 'string') normalized.genre = normalizeGenre(normalized.genre);
+    if (typeof normalized.year === 'string' && /^\s*\d+\s*$/.test(normalized.year)) normalized.year = Number(normalized.year);
+    if (typeof normalized.isbn === 'string') normalized.isbn = normalized.isbn.replace(/[\s-]/g, '').toUpperCase();
+    if (normalized.availability) normalized.availability = { ...normalized.availability };
+    if (Array.isArray(normalized.copies)) normalized.copies = normalized.copies.map(copy => ({ ...copy }));
+    return normalized;
+}
@@ -0,0 +1,171 @@
+/**
+ * Full-text search module for the Library Management System
+ * An inverted index over title, author and genre with diacritic folding,
+ * prefix and typo-tolerant matching, field boosts and highlight spans
+ */
+
+// ----------------------
+// Default field weights: a title hit counts more than an author hit, which counts more than a genre hit
+export const defaultFieldBoosts = { title: 3, author: 2, genre: 1 };
+
+// Relative weight of each kind of term match
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// ----------------------
+// Lowercase and strip diacritics so "Café" and "cafe" index the same
+export function foldText(text) {
+    return text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+// ----------------------
+// Split text into folded terms, keeping each term's offsets in the original string
+export function tokenize(text = '') {
+    return [...String(text).matchAll(/[\p{L}\p{N}]+/gu)].map(({ 0: word, index }) => ({
+        term: foldText(word),
+        start: index,
+        end: index + word.length
+    }));
+}
+
+// ----------------------
+// Levenshtein distance, giving up early once it exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// ----------------------
+// Typos allowed for a query term: none for short words, more for long ones
+const allowedEdits = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// ----------------------
+// Wrap each [start, end) span of `text` in markers
+export function highlight(text, spans = [], [open, close] = ['«', '»']) {
+    let result = '';
+    let cursor = 0;
+    [...spans].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        if (start < cursor) return; // Skip overlapping spans
+        result += `${text.slice(cursor, start)}${open}${text.slice(start, end)}${close}`;
+        cursor = end;
+    });
+    return result + text.slice(cursor);
+}
+
+/**
+ * SearchIndex maps folded terms to the books and fields they occur in
+ */
+export class SearchIndex {
+    #postings = new Map(); // term -> Map(bookId -> [{ field, start, end }])
+    #books = new Map(); // bookId -> book
+    #boosts;
+
+    constructor(bookArray = [], { boosts = defaultFieldBoosts } = {}) {
+        this.#boosts = boosts;
+        bookArray.forEach(book => this.add(book));
+    }
+
+    // ----------------------
+    // Index a book's searchable fields
+    add(book) {
+        this.#books.set(book.id, book);
+        Object.keys(this.#boosts).forEach(field => {
+            tokenize(book[field]).forEach(({ term, start, end }) => {
+                if (!this.#postings.has(term)) this.#postings.set(term, new Map());
+                const byBook = this.#postings.get(term);
+                if (!byBook.has(book.id)) byBook.set(book.id, []);
+                byBook.get(book.id).push({ field, start, end });
+            });
+        });
+    }
+
+    // ----------------------
+    // Drop a book from the index
+    remove(bookId) {
+        this.#books.delete(bookId);
+        this.#postings.forEach((byBook, term) => {
+            byBook.delete(bookId);
+            if (!byBook.size) this.#postings.delete(term);
+        });
+    }
+
+    // ----------------------
+    // Re-index a book after its fields changed
+    update(book) {
+        this.remove(book.id);
+        this.add(book);
+    }
+
+    // ----------------------
+    // Index terms close enough to a query term, with the kind of match
+    #candidates(queryTerm, fuzzy) {
+        const maxEdits = fuzzy ? allowedEdits(queryTerm) : 0;
+        const found = [];
+        this.#postings.forEach((_, term) => {
+            if (term === queryTerm) {
+                found.push({ term, kind: 'exact' });
+            } else if (term.startsWith(queryTerm)) {
+                found.push({ term, kind: 'prefix' });
+            } else if (maxEdits && editDistance(queryTerm, term, maxEdits) <= maxEdits) {
+                found.push({ term, kind: 'fuzzy' });
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Free-text search across all indexed fields
+     * @param {string} query - Words to look for, in any order
+     * @param {Object} [options] - { fuzzy = true, limit }
+     * @returns {Array} [{ book, score, matches: { title: [[start, end]], ... } }], best first
+     */
+    search(query, { fuzzy = true, limit = Infinity } = {}) {
+        const queryTerms = [...new Set(tokenize(query).map(({ term }) => term))];
+        const results = new Map(); // bookId -> { score, matchedTerms, matches }
+
+        queryTerms.forEach(queryTerm => {
+            const bestPerBook = new Map(); // bookId -> best score for this query term
+
+            this.#candidates(queryTerm, fuzzy).forEach(({ term, kind }) => {
+                this.#postings.get(term).forEach((occurrences, bookId) => {
+                    const entry = results.get(bookId) ?? { score: 0, matchedTerms: 0, matches: {} };
+                    results.set(bookId, entry);
+
+                    occurrences.forEach(({ field, start, end }) => {
+                        const score = this.#boosts[field] * MATCH_WEIGHTS[kind];
+                        bestPerBook.set(bookId, Math.max(bestPerBook.get(bookId) ?? 0, score));
+                        (entry.matches[field] ??= []).push([start, end]);
+                    });
+                });
+            });
+
+            bestPerBook.forEach((score, bookId) => {
+                const entry = results.get(bookId);
+                entry.score += score;
+                entry.matchedTerms += 1;
+            });
+        });
+
+        return [...results]
+            .map(([bookId, { score, matchedTerms, matches }]) => ({
+                book: this.#books.get(bookId),
+                // Books matching more of the query rank above single strong hits
+                score: Math.round(score * (matchedTerms / queryTerms.length) * 100) / 100,
+                matches
+            }))
+            .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title))
+            .slice(0, limit);
+    }
+}
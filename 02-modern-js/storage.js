@@ -0,0 +1,98 @@
+/**
+ * Storage adapters for the Library Management System
+ *
+ * A store is any object with two synchronous methods:
+ *   load()         -> the last saved snapshot, or null when nothing is saved yet
+ *   save(snapshot) -> persist a snapshot, replacing the previous one
+ *
+ * Snapshots are plain JSON: { version, savedAt, books, holds, audit, patrons }, where `patrons` is the
+ * PatronRegistry's members and loans (null for a library without one).
+ * The Node-only JSON file adapter lives in file-store.js so browsers never import `fs`.
+ */
+
+import { StorageError } from './errors.js';
+
+// ----------------------
+// Current snapshot schema version
+export const SCHEMA_VERSION = 4;
+
+// ----------------------
+// Built-in upgrades, keyed by the version they upgrade *from*
+export const migrations = new Map([
+    // v1 files were a bare array of books with no hold queues
+    [1, (books) => ({ version: 2, books, holds: [] })],
+    // v3 added the append-only audit log of catalog edits
+    [2, (snapshot) => ({ ...snapshot, version: 3, audit: [] })],
+    // v4 added the patron registry's members, loans and fines; older files keep the registry the library was given
+    [3, (snapshot) => ({ ...snapshot, version: 4, patrons: null })]
+]);
+
+// ----------------------
+// Upgrade a loaded snapshot to SCHEMA_VERSION, one step at a time
+export function migrateSnapshot(snapshot, extraMigrations = new Map()) {
+    const steps = new Map([...migrations, ...extraMigrations]);
+    let current = snapshot;
+    let version = Array.isArray(current) ? 1 : current?.version ?? 1;
+
+    if (version > SCHEMA_VERSION) {
+        throw new StorageError(`Snapshot version ${version} is newer than supported version ${SCHEMA_VERSION}`, { version });
+    }
+
+    while (version < SCHEMA_VERSION) {
+        const migrate = steps.get(version);
+        if (!migrate) {
+            throw new StorageError(`No migration from snapshot version ${version}`, { version });
+        }
+        current = migrate(current);
+        if (!(current?.version > version)) {
+            throw new StorageError(`Migration from version ${version} did not advance the schema`, { version });
+        }
+        version = current.version;
+    }
+
+    return current;
+}
+
+/**
+ * In-memory store, handy for tests and for running without persistence
+ */
+export class MemoryStore {
+    #snapshot = null;
+
+    constructor(initialSnapshot = null) {
+        this.#snapshot = initialSnapshot && structuredClone(initialSnapshot);
+    }
+
+    load() {
+        return this.#snapshot && structuredClone(this.#snapshot);
+    }
+
+    save(snapshot) {
+        this.#snapshot = structuredClone(snapshot);
+    }
+}
+
+/**
+ * Browser store backed by localStorage (or any object with getItem/setItem)
+ */
+export class LocalStorageStore {
+    constructor(key = 'library', storage = globalThis.localStorage) {
+        if (!storage) throw new StorageError('localStorage is not available in this environment');
+        this.key = key;
+        this.storage = storage;
+    }
+
+    load() {
+        const raw = this.storage.getItem(this.key);
+        if (raw === null) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (cause) {
+            throw new StorageError(`Saved data under "${this.key}" is not valid JSON`, { cause });
+        }
+    }
+
+    save(snapshot) {
+        this.storage.setItem(this.key, JSON.stringify(snapshot));
+    }
+}
@@ -2,97 +2,275 @@
  * UI utilities module demonstrating modern JavaScript features
  */
 
+import { describeBorrowers, branches } from './data.js';
+import { highlight } from './search.js';
+import { summaryLabel } from './reports.js';
+import { i18nFor, describeAvailability } from './i18n.js';
+
 /**
  * Display library statistics
- * @param {Object} statistics - Object containing total, available, checkedOut
+ * @param {Object} statistics - Object containing total, available, checkedOut, onHold, overdue, outstandingFines,
+ *                              copies and per-branch copy counts
+ * @param {Object} [options] - { locale } for labels and numbers
  */
-export function displayStatistics(statistics) {
-    const { total = 0, available = 0, checkedOut = 0 } = statistics;
+export function displayStatistics(statistics, { locale } = {}) {
+    const { total = 0, available = 0, checkedOut = 0, onHold = 0, overdue = 0, outstandingFines = 0, copies, branches: byBranch = {} } = statistics;
+    const { t, formatNumber, formatAmount } = i18nFor(locale);
+    const rows = [
+        ['stats.total', formatNumber(total)],
+        ['stats.available', formatNumber(available)],
+        ['stats.checkedOut', formatNumber(checkedOut)],
+        ['stats.onHold', formatNumber(onHold)],
+        ['stats.overdue', formatNumber(overdue)],
+        ['stats.fines', formatAmount(outstandingFines)],
+        ...(copies === undefined ? [] : [['stats.copies', formatNumber(copies)]])
+    ].map(([key, value]) => [t(key), value]);
+    const width = Math.max(...rows.map(([label]) => label.length));
     console.log(`
-📊 Library Statistics:
+📊 ${t('stats.heading')}:
 ----------------------
-Total Books       : ${total}
-Available Books   : ${available}
-Checked Out Books : ${checkedOut}
+${rows.map(([label, value]) => `${label.padEnd(width)} : ${value}`).join('\n')}
     `);
+    Object.entries(byBranch).forEach(([branch, { copies: count, ...counts }]) => {
+        console.log(`🏛️  ${t('stats.branch', { branch: branches.get(branch) ?? branch, count, ...counts })}`);
+    });
+}
+
+/**
+ * Display every copy of a book with its branch, shelf and condition
+ * @param {Object} book - Book with a `copies` array
+ * @param {Object} [options] - { locale, asOf } for the availability text
+ */
+export function displayCopies(book, options = {}) {
+    const copies = book.copies ?? [];
+    const { t } = i18nFor(options.locale);
+    console.log(`\n🏷️  === ${t('copies.heading', { title: book.title, count: copies.length })} ===`);
+    copies.forEach(({ barcode, branch, condition = t('copy.unknownCondition'), transfer, ...state }) => {
+        const where = transfer ? `${transfer.from} → ${transfer.to}` : branches.get(branch) ?? branch;
+        console.log(`${barcode} [${where}, ${condition}] - ${formatAvailability(state, options)}`);
+    });
 }
 
 /**
  * Display a list of books with optional title
  * @param {Array} books - Array of book objects
  * @param {string} title - Section title
+ * @param {Object} [options] - { patrons, canViewBorrower } to show who holds checked-out books,
+ *                             { locale, asOf } for the availability text
  */
-export function displayBooks(books, title = "Books") {
-    console.log(`\n📚 === ${title} ===`);
+export function displayBooks(books, title, { patrons, canViewBorrower = false, locale, asOf } = {}) {
+    const { t } = i18nFor(locale);
+    console.log(`\n📚 === ${title ?? t('books.heading')} ===`);
     books.forEach((book, idx) => {
-        const availabilityText = formatAvailability(book.availability);
-        console.log(`${idx + 1}. ${book.title} by ${book.author} (${book.year}) - ${availabilityText}`);
+        const availabilityText = formatAvailability(book.availability, { locale, asOf });
+        const borrower = canViewBorrower ? describeBorrowers(book, patrons) : null;
+        console.log(`${idx + 1}. ${t('book.by', book)} (${book.year}) - ${availabilityText}${borrower ? ` 👤 ${borrower}` : ''}`);
     });
 }
 
 /**
  * Display search results with dynamic title based on criteria
- * @param {Array} searchResults - Array of book objects
- * @param {Object} searchCriteria - Object with title, author, genre
- */
-export function displaySearchResults(searchResults, searchCriteria = {}) {
-    const { title, author, genre } = searchCriteria;
-    const criteria = [
-        title ? `Title: "${title}"` : null,
-        author ? `Author: "${author}"` : null,
-        genre ? `Genre: "${genre}"` : null
-    ].filter(Boolean).join(', ') || 'All Books';
-
-    console.log(`\n🔎 Search Results (${criteria}):`);
+ * @param {Array} searchResults - Book objects from searchBooks, or scored results from search
+ * @param {Object|string} searchCriteria - Object with title, author, genre, or a free-text query
+ * @param {Object} [options] - { locale, asOf }
+ */
+export function displaySearchResults(searchResults, searchCriteria = {}, options = {}) {
+    const { t } = i18nFor(options.locale);
+    console.log(`\n🔎 ${t('search.heading', { criteria: describeSearchCriteria(searchCriteria, options) })}:`);
     if (!searchResults.length) {
-        console.log('No matching books found.');
+        console.log(t('search.none'));
+    } else if (searchResults[0].book) {
+        displayRankedResults(searchResults, options);
     } else {
-        displayBooks(searchResults, `Matching Books (${searchResults.length})`);
+        displayBooks(searchResults, t('search.matching', { count: searchResults.length }), options);
     }
 }
 
 /**
- * Format availability status for display
- * @param {Object} availability - Book availability object
- * @returns {string} Formatted availability string
+ * Describe search criteria for a results heading
+ * @param {Object|string} searchCriteria - Object with title, author, genre, or a free-text query
+ * @param {Object} [options] - { locale } for the field labels and the "All Books" fallback
+ * @returns {string} e.g. 'Title: "clean", Author: "martin"' or '"clean code"'
  */
-export function formatAvailability(availability) {
-    if (!availability) return 'Availability unknown ❓';
+export function describeSearchCriteria(searchCriteria = {}, { locale } = {}) {
+    if (typeof searchCriteria === 'string') return `"${searchCriteria}"`;
+    const { t } = i18nFor(locale);
+    return ['title', 'author', 'genre']
+        .filter(field => searchCriteria[field])
+        .map(field => t(`criteria.${field}`, { value: searchCriteria[field] }))
+        .join(', ') || t('search.all');
+}
 
-    const { status, location, dueDate } = availability;
-    return status === 'available'
-        ? `Available ✅ at ${location ?? 'Unknown location'}`
-        : status === 'checked_out'
-        ? `Checked Out ⏳, due on ${dueDate ?? 'Unknown date'}`
-        : 'Status unknown ❓';
+/**
+ * Display scored search results with matched words highlighted
+ * @param {Array} results - [{ book, score, matches }] from LibraryManager#search
+ * @param {Object} [options] - { locale, asOf } for the availability text
+ */
+export function displayRankedResults(results, options = {}) {
+    const { t } = i18nFor(options.locale);
+    console.log(`\n📚 === ${t('search.ranked', { count: results.length })} ===`);
+    results.forEach(({ book, score, matches }, idx) => {
+        const titleText = highlight(book.title, matches.title);
+        const authorText = highlight(book.author, matches.author);
+        const genreText = matches.genre ? ` [${highlight(book.genre, matches.genre)}]` : '';
+        console.log(`${idx + 1}. ${t('book.by', { title: titleText, author: authorText })}${genreText} - ${t('search.score', { score })} - ${formatAvailability(book.availability, options)}`);
+    });
 }
 
 /**
- * Analyze book collection and display insights
- * @param {Array} books - Array of book objects
+ * Display one page of query results with a "showing x–y of n" header
+ * @param {Object} result - Result of LibraryManager#query
+ * @param {string} title - Section title
+ * @param {Object} [options] - { locale, asOf }
  */
-export function showBookAnalysis(books) {
-    console.log('\n🔍 === BOOK ANALYSIS ===');
+export function displayQueryResults(result, title, options = {}) {
+    const { items, total, offset, nextCursor } = result;
+    const { t, formatNumber } = i18nFor(options.locale);
+    const range = items.length ? `${formatNumber(offset + 1)}–${formatNumber(offset + items.length)}` : formatNumber(0);
+    displayBooks(items, t('query.showing', { title: title ?? t('query.heading'), range, total }), options);
+    if (nextCursor) console.log(`➡️  ${t('query.more', { cursor: nextCursor })}`);
+}
 
-    if (!books.length) {
-        console.log('No books available for analysis.');
-        return;
+/**
+ * Display recommendations with the reason each title was suggested
+ * @param {Array} recommendations - Result of LibraryManager#recommend
+ * @param {string} title - Section title
+ * @param {Object} [options] - { locale, asOf } for the availability text
+ */
+export function displayRecommendations(recommendations, title, options = {}) {
+    const { t } = i18nFor(options.locale);
+    console.log(`\n💡 === ${title ?? t('recommend.heading')} ===`);
+    if (!recommendations.length) console.log(t('recommend.none'));
+    recommendations.forEach(({ book, score, explanation }, idx) => {
+        console.log(`${idx + 1}. ${t('book.by', book)} - ${formatAvailability(book.availability, options)}`);
+        console.log(`   ${explanation}${score ? ` ${t('recommend.score', { score })}` : ''}`);
+    });
+}
+
+/**
+ * Display the outcome of an import, including why rows were rejected
+ * @param {Object} report - Result of LibraryManager#importBooks
+ * @param {boolean} dryRun - Whether the import was only validated
+ * @param {Object} [options] - { locale } for the labels
+ */
+export function displayImportReport(report, dryRun = false, { locale } = {}) {
+    const { added = [], merged = [], skipped = [], duplicates = [], rejected = [] } = report;
+    const { t } = i18nFor(locale);
+    const counts = { added: added.length, merged: merged.length, skipped: skipped.length, rejected: rejected.length };
+    console.log(`\n📥 === ${t(dryRun ? 'import.dryRunHeading' : 'import.heading')} ===`);
+    console.log(t(dryRun ? 'import.summaryDryRun' : 'import.summary', counts));
+    skipped.forEach(({ book, duplicateOf }) => console.log(`⏭️  ${t('import.skipped', { title: book.title, duplicateOf })}`));
+    duplicates.forEach(({ book, duplicateOf }) => console.log(`⛔ ${t('import.duplicate', { title: book.title, duplicateOf })}`));
+    rejected.forEach(({ row, record, reasons }) => {
+        const where = row === undefined ? `"${record?.title ?? t('import.untitled')}"` : t('import.row', { row });
+        console.log(`❌ ${where}: ${reasons.join('; ')}`);
+    });
+}
+
+/**
+ * Display a patron's fine statement
+ * @param {Object} statement - Result of LibraryManager#getPatronStatement
+ * @param {Object} [options] - { locale } for labels, dates and amounts
+ */
+export function displayFineStatement(statement, { locale } = {}) {
+    const { patronId, name, asOf, items = [], accrued = 0, assessed = 0, totalDue = 0 } = statement;
+    const { t, formatDate, formatAmount } = i18nFor(locale);
+    console.log(`\n💰 === ${t('fines.heading', { name: name ?? patronId, date: formatDate(asOf) })} ===`);
+    items.forEach(({ title, dueDate, daysOverdue, fine }) => {
+        console.log(`- ${t('fines.item', { title, date: formatDate(dueDate), count: daysOverdue, fine: formatAmount(fine) })}`);
+    });
+    const rows = [['fines.accrued', accrued], ['fines.assessed', assessed], ['fines.total', totalDue]]
+        .map(([key, amount]) => [t(key), formatAmount(amount)]);
+    const width = Math.max(...rows.map(([label]) => label.length));
+    rows.forEach(([label, amount]) => console.log(`${label.padEnd(width)} : ${amount}`));
+}
+
+/**
+ * Display a report from reports.js as a console table followed by its summary
+ * @param {Object} report - { title, columns, rows, summary }
+ * @param {Object} [options] - { locale } for the empty-report message
+ */
+export function displayReport(report, { locale } = {}) {
+    const { title, columns, rows, summary = {} } = report;
+    console.log(`\n📈 === ${title} ===`);
+    if (!rows.length) {
+        console.log(i18nFor(locale).t('report.none'));
+    } else {
+        console.table(rows.map(row => Object.fromEntries(columns.map(({ key, label }) => [label, row[key]]))));
     }
+    Object.entries(summary)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .forEach(([key, value]) => console.log(`${summaryLabel(key)}: ${value}`));
+}
+
+/**
+ * Log library change events to the console as they happen
+ * @param {Object} library - LibraryManager (or anything with `on`)
+ * @param {Object} [options] - { locale } for the messages, by default the library's
+ * @returns {Function} Call to stop logging
+ */
+export function logLibraryEvents(library, { locale = library.locale } = {}) {
+    const { t, formatDate } = i18nFor(locale);
+    const describe = {
+        bookAdded: ({ books }) => `➕ ${t('event.bookAdded', { count: books.length, titles: books.map(({ title }) => title).join(', ') })}`,
+        bookUpdated: ({ book, changes = [], undoes }) =>
+            `✏️  ${undoes ? t('event.bookUndone', { seq: undoes, title: book.title }) : t('event.bookUpdated', { title: book.title })}${changes.length ? ` (${changes.map(({ path }) => path).join(', ')})` : ''}`,
+        checkedOut: ({ book, patronId, dueDate }) => `📤 ${t('event.checkedOut', { title: book.title, patronId, date: formatDate(dueDate) })}`,
+        returned: ({ book, heldFor }) => `📥 ${heldFor ? t('event.returnedHeld', { title: book.title, patronId: heldFor }) : t('event.returned', { title: book.title })}`,
+        renewed: ({ book, dueDate }) => `🔁 ${t('event.renewed', { title: book.title, date: formatDate(dueDate) })}`,
+        holdPlaced: ({ book, patronId, position }) => `📌 ${t('event.holdPlaced', { title: book.title, patronId, position })}`,
+        holdCancelled: ({ book, patronId }) => `🚫 ${t('event.holdCancelled', { title: book.title, patronId })}`,
+        copyAdded: ({ book, barcode, branch }) => `🏷️  ${t('event.copyAdded', { title: book.title, barcode, branch })}`,
+        copyWithdrawn: ({ book, barcode }) => `🗑️  ${t('event.copyWithdrawn', { title: book.title, barcode })}`,
+        transferStarted: ({ book, barcode, from, to }) => `🚚 ${t('event.transferStarted', { title: book.title, barcode, from, to })}`,
+        transferReceived: ({ book, barcode, to, heldFor }) =>
+            `🏛️  ${t(heldFor ? 'event.transferReceivedHeld' : 'event.transferReceived', { title: book.title, barcode, to, patronId: heldFor })}`,
+        historyPurged: ({ bookId, removed, actor }) =>
+            `🧹 ${t('event.historyPurged', { actor, count: removed })}${bookId === undefined ? '' : ` ${t('event.forBook', { bookId })}`}`,
+        statsChanged: ({ statistics }) => `📊 ${t('event.statsChanged', statistics)}`
+    };
+
+    return library.on('*', (event) => {
+        const text = describe[event.type]?.(event);
+        if (text) console.log(`🔔 ${text}`);
+    });
+}
+
+// ----------------------
+// Status icons shown in front of the (translated) availability text
+const STATUS_ICONS = { available: '✅', checked_out: '⏳', on_hold: '📌', in_transit: '🚚' };
 
+/**
+ * Format availability status for display
+ * @param {Object} availability - Book availability object
+ * @param {Object} [options] - { locale, asOf } where `asOf` is the date "due in 3 days" counts from
+ * @returns {string} Formatted availability string
+ */
+export function formatAvailability(availability, { locale, asOf } = {}) {
+    const { t } = i18nFor(locale);
+    const { status, availableCopies, totalCopies } = availability ?? {};
+    const copies = totalCopies > 1 ? ` (${t('availability.copies', { available: availableCopies, count: totalCopies })})` : '';
+    return `${STATUS_ICONS[status] ?? '❓'} ${describeAvailability(availability, { locale, asOf })}${copies}`;
+}
+
+/**
+ * Count publication decades, genres and authors in a collection
+ * @param {Array} books - Array of book objects
+ * @returns {Object} { decadeCounts, genreCounts, mostProlific: [author, count] }
+ */
+export function analyzeBooks(books) {
     // Analyze decades
     const decades = books.map(({ year }) => Math.floor(year / 10) * 10);
     const decadeCounts = decades.reduce((acc, dec) => {
         acc[dec] = (acc[dec] || 0) + 1;
         return acc;
     }, {});
-    console.log('📅 Publication Decades:', decadeCounts);
 
     // Analyze genre distribution
     const genreCounts = books.reduce((acc, { genre }) => {
         acc[genre] = (acc[genre] || 0) + 1;
         return acc;
     }, {});
-    console.log('🗂️  Genre Distribution:', genreCounts);
 
     // Most prolific author
     const authorCounts = books.reduce((acc, { author }) => {
@@ -100,5 +278,30 @@ export function showBookAnalysis(books) {
         return acc;
     }, {});
     const mostProlific = Object.entries(authorCounts).sort((a, b) => b[1] - a[1])[0];
-    console.log('✍️  Most Prolific Author:', mostProlific?.[0], `(${mostProlific?.[1]} books)`);
+
+    return { decadeCounts, genreCounts, mostProlific };
 }
+
+/**
+ * Analyze book collection and display insights
+ * @param {Array} books - Array of book objects
+ * @param {Object} [options] - { locale } for the labels
+ */
+export function showBookAnalysis(books, { locale } = {}) {
+    const { t } = i18nFor(locale);
+    console.log(`\n🔍 === ${t('analysis.heading').toLocaleUpperCase(locale)} ===`);
+
+    if (!books.length) {
+        console.log(t('analysis.none'));
+        return;
+    }
+
+    const { decadeCounts, genreCounts, mostProlific } = analyzeBooks(books);
+    console.log(`📅 ${t('analysis.decades')}:`, decadeCounts);
+    console.log(`🗂️  ${t('analysis.genres')}:`, genreCounts);
+    console.log(`✍️  ${t('analysis.prolific', { author: mostProlific?.[0], books: t('books.count', { count: mostProlific?.[1] }) })}`);
+}
+
+// ----------------------
+// The console backend; `DomRenderer` in dom-ui.js offers the same entry points for the browser
+export const consoleRenderer = { displayStatistics, displayBooks, displaySearchResults, showBookAnalysis };
@@ -51,25 +51,25 @@ export class LibraryManager {
       if (title) {
         matches.push(
           caseSensitive
-            ? book.title === title
+            ? book.title.includes(title)
             : book.title.toLowerCase().includes(title.toLowerCase())
         );
       }
       if (author) {
         matches.push(
           caseSensitive
-            ? book.author === author
+            ? book.author.includes(author)
             : book.author.toLowerCase().includes(author.toLowerCase())
         );
       }
       if (genre) {
         matches.push(
           caseSensitive
-            ? book.genre === genre
-            : book.genre.toLowerCase() === genre.toLowerCase()
+            ? book.genre.includes(genre)
+            : book.genre.toLowerCase().includes(genre.toLowerCase())
         );
       }
-      return matches.every(Boolean); // all criteria must match
+      return matches.every(Boolean); // all criteria must match (substring, like the base exercise)
     });
   }
 
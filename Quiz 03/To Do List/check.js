@@ -0,0 +1,140 @@
+// Checks for the pure task, recurrence and view functions. Run from this folder with: node check.js
+// The app files are classic browser scripts, so they are run in one shared context the way index.html loads them.
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const context = vm.createContext({ crypto: globalThis.crypto, URLSearchParams, Intl, console });
+context.window = context;
+["recurrence.js", "reminders.js", "views.js", "store.js"].forEach((file) => {
+  const filename = path.join(__dirname, file);
+  vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+});
+const { addTask, updateTask, toggleTask, nextOccurrence, parseViewHash } = context;
+
+// Values made in the other context have its own prototypes, which deepStrictEqual would reject
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// ---------- Tasks ----------
+
+check("addTask appends a task with defaults and leaves the list alone", () => {
+  const tasks = [];
+  const [task] = addTask(tasks, { text: "Buy milk", category: "Shopping" });
+  assert.strictEqual(tasks.length, 0);
+  assert.strictEqual(task.text, "Buy milk");
+  assert.strictEqual(task.due, "");
+  assert.strictEqual(task.completed, false);
+  assert.strictEqual(task.recurrence, null);
+  assert.deepStrictEqual(plain(task.reminders), [60]);
+  assert.ok(task.id);
+});
+
+check("addTask starts a repeating series on the rule's first date", () => {
+  // 2030-01-07 is a Monday; the first Friday on or after it is the 11th
+  const [task] = addTask([], { text: "Report", category: "Work", due: "2030-01-07", repeat: "FREQ=WEEKLY;BYDAY=FR" });
+  assert.strictEqual(task.due, "2030-01-11");
+  assert.deepStrictEqual(plain(task.recurrence), { rule: "FREQ=WEEKLY;BYDAY=FR", start: "2030-01-11", index: 1 });
+});
+
+check("updateTask changes only the matching task and keeps its id", () => {
+  const tasks = addTask(addTask([], { text: "A", category: "Work" }), { text: "B", category: "Work" });
+  const updated = updateTask(tasks, tasks[1].id, { text: "B2", id: "other" });
+  assert.strictEqual(updated[0], tasks[0]);
+  assert.strictEqual(updated[1].text, "B2");
+  assert.strictEqual(updated[1].id, tasks[1].id);
+});
+
+check("updateTask restarts the series when the due date or rule changes, and clears it with an empty rule", () => {
+  const [task] = addTask([], { text: "Water plants", category: "Home", due: "2030-01-01", repeat: "FREQ=DAILY" });
+  const moved = updateTask([{ ...task, recurrence: { ...task.recurrence, index: 4 } }], task.id, { due: "2030-02-01" });
+  assert.deepStrictEqual(plain(moved[0].recurrence), { rule: "FREQ=DAILY", start: "2030-02-01", index: 1 });
+  const cleared = updateTask(moved, task.id, { repeat: "" });
+  assert.strictEqual(cleared[0].recurrence, null);
+});
+
+check("toggleTask flips a plain task, or sets the state it is given", () => {
+  const tasks = addTask([], { text: "Call mum", category: "Home" });
+  const [done] = toggleTask(tasks, tasks[0].id);
+  assert.strictEqual(done.completed, true);
+  assert.strictEqual(toggleTask([done], done.id, true)[0].completed, true);
+  assert.strictEqual(toggleTask([done], done.id)[0].completed, false);
+});
+
+check("toggleTask moves a recurring task through its occurrences and reopens the last one", () => {
+  let tasks = addTask([], { text: "Stretch", category: "Health", due: "2099-01-01", repeat: "FREQ=DAILY;COUNT=2" });
+  const { id } = tasks[0];
+  tasks = toggleTask(tasks, id);
+  assert.strictEqual(tasks[0].completed, false);
+  assert.strictEqual(tasks[0].due, "2099-01-02");
+  assert.strictEqual(tasks[0].recurrence.index, 2);
+  tasks = toggleTask(tasks, id);
+  assert.strictEqual(tasks[0].completed, true);
+  assert.strictEqual(tasks[0].history.length, 2);
+  tasks = toggleTask(tasks, id);
+  assert.strictEqual(tasks[0].completed, false);
+  assert.strictEqual(tasks[0].due, "2099-01-02");
+  assert.strictEqual(tasks[0].history.length, 1);
+});
+
+// ---------- Recurrence ----------
+
+check("nextOccurrence stops after COUNT occurrences", () => {
+  const recurrence = { rule: "FREQ=DAILY;COUNT=3", start: "2030-01-01" };
+  assert.deepStrictEqual(plain(nextOccurrence({ ...recurrence, index: 2 }, "2030-01-02")), { due: "2030-01-03", index: 3 });
+  assert.strictEqual(nextOccurrence({ ...recurrence, index: 3 }, "2030-01-03"), null);
+});
+
+check("nextOccurrence stops after UNTIL, which is inclusive", () => {
+  const recurrence = { rule: "FREQ=WEEKLY;UNTIL=20300115", start: "2030-01-01" };
+  assert.deepStrictEqual(plain(nextOccurrence({ ...recurrence, index: 2 }, "2030-01-08")), { due: "2030-01-15", index: 3 });
+  assert.strictEqual(nextOccurrence({ ...recurrence, index: 3 }, "2030-01-15"), null);
+});
+
+check("nextOccurrence finds the last Friday of each month for BYDAY=-1FR", () => {
+  const recurrence = { rule: "FREQ=MONTHLY;BYDAY=-1FR", start: "2030-01-25", index: 1 };
+  const february = nextOccurrence(recurrence, "2030-01-25");
+  assert.deepStrictEqual(plain(february), { due: "2030-02-22", index: 2 });
+  assert.deepStrictEqual(plain(nextOccurrence({ ...recurrence, index: 2 }, february.due)), { due: "2030-03-29", index: 3 });
+});
+
+check("nextOccurrence skips occurrences before notBefore", () => {
+  const recurrence = { rule: "FREQ=WEEKLY", start: "2030-01-01", index: 1 };
+  assert.deepStrictEqual(plain(nextOccurrence(recurrence, "2030-01-01", "2030-01-20")), { due: "2030-01-22", index: 4 });
+});
+
+// ---------- Views ----------
+
+check("parseViewHash reads a complete view from the hash", () => {
+  assert.deepStrictEqual(plain(parseViewHash("#status=pending&category=Work&due=overdue&q=milk&sort=created")), {
+    status: "pending",
+    category: "Work",
+    due: "overdue",
+    search: "milk",
+    sort: "created",
+  });
+});
+
+check("parseViewHash falls back to the defaults for missing or unknown values", () => {
+  const defaults = { status: "all", category: "", due: "", search: "", sort: "due" };
+  assert.deepStrictEqual(plain(parseViewHash("")), defaults);
+  assert.deepStrictEqual(plain(parseViewHash("#status=bogus&sort=nope")), defaults);
+});
+
+// ---------- Run ----------
+
+let failed = 0;
+checks.forEach(({ name, fn }) => {
+  try {
+    fn();
+    console.log(`✔ ${name}`);
+  } catch (err) {
+    failed += 1;
+    console.error(`✘ ${name}\n  ${err.message}`);
+  }
+});
+console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,186 @@
+// Recurring schedules written as a subset of iCalendar RRULE:
+//   FREQ=DAILY | WEEKLY | MONTHLY     how often
+//   INTERVAL=n                        every n days / weeks / months (default 1)
+//   BYDAY=MO,TH                       weekly: on these weekdays
+//   BYDAY=-1FR or 2MO                 monthly: on the last Friday, the second Monday...
+//   BYMONTHDAY=15 or -1               monthly: on day 15, on the last day...
+//   UNTIL=2025-12-31 (or 20251231)    last possible date
+//   COUNT=n                           number of occurrences
+// e.g. "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10" or "FREQ=MONTHLY;BYDAY=-1FR".
+// Dates are "YYYY-MM-DD" strings, like the date inputs; all arithmetic is done in UTC so DST never shifts a day.
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Date helpers ----------
+
+function parseDay(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// "Mon Mar 02 2026" for display; built as a local date, since a UTC midnight reads as the day before west of UTC
+function describeDay(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toDateString();
+}
+
+function addDays(date, days) {
+  return formatDay(new Date(parseDay(date).getTime() + days * DAY_MS));
+}
+
+function todayISO() {
+  const now = new Date();
+  return formatDay(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// ---------- Parsing ----------
+
+// Parse an RRULE string into { freq, interval, byDay: [{ weekday, nth }], byMonthDay, until, count }.
+// Throws an Error with a readable message when the rule can't be used.
+function parseRRule(text) {
+  const rule = { freq: "", interval: 1, byDay: [], byMonthDay: [], until: "", count: 0 };
+  const parts = String(text).trim().replace(/^RRULE:/i, "").split(";").filter(Boolean);
+
+  parts.forEach((part) => {
+    const [key, value = ""] = part.split("=").map((s) => s.trim().toUpperCase());
+    if (key === "FREQ") {
+      if (!["DAILY", "WEEKLY", "MONTHLY"].includes(value)) throw new Error(`Unsupported frequency "${value}"`);
+      rule.freq = value;
+    } else if (key === "INTERVAL" || key === "COUNT") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`${key} must be a whole number above 0`);
+      rule[key.toLowerCase()] = n;
+    } else if (key === "BYDAY") {
+      rule.byDay = value.split(",").map((day) => {
+        const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+        if (!match) throw new Error(`Invalid day "${day}"`);
+        return { weekday: WEEKDAYS.indexOf(match[2]), nth: match[1] ? Number(match[1]) : 0 };
+      });
+    } else if (key === "BYMONTHDAY") {
+      rule.byMonthDay = value.split(",").map((day) => {
+        const n = Number(day);
+        if (!Number.isInteger(n) || n === 0 || Math.abs(n) > 31) throw new Error(`Invalid day of month "${day}"`);
+        return n;
+      });
+    } else if (key === "UNTIL") {
+      const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+      if (!match || Number.isNaN(parseDay(`${match[1]}-${match[2]}-${match[3]}`).getTime())) {
+        throw new Error(`Invalid end date "${value}"`);
+      }
+      rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+    } else {
+      throw new Error(`Unsupported rule part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) throw new Error("A repeat rule needs FREQ=DAILY, WEEKLY or MONTHLY");
+  if (rule.freq === "WEEKLY" && rule.byDay.some((d) => d.nth)) throw new Error("Weekly days can't be numbered (use MO, not 2MO)");
+  if (rule.freq !== "MONTHLY" && rule.byMonthDay.length) throw new Error("BYMONTHDAY only works with FREQ=MONTHLY");
+  if (rule.freq === "DAILY" && rule.byDay.length) throw new Error("BYDAY doesn't work with FREQ=DAILY");
+  return rule;
+}
+
+// "1st", "2nd", "last", "2nd last"...
+function ordinal(n) {
+  if (n === -1) return "last";
+  const abs = Math.abs(n);
+  const suffix = abs % 10 === 1 && abs !== 11 ? "st" : abs % 10 === 2 && abs !== 12 ? "nd" : abs % 10 === 3 && abs !== 13 ? "rd" : "th";
+  return `${abs}${suffix}${n < 0 ? " last" : ""}`;
+}
+
+// Human-readable rule, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+function describeRRule(text) {
+  const rule = parseRRule(text);
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[rule.freq];
+  let summary = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.byDay.length) {
+    summary += ` on ${rule.byDay.map((d) => (d.nth ? `the ${ordinal(d.nth)} ` : "") + WEEKDAY_NAMES[d.weekday]).join(", ")}`;
+  }
+  if (rule.byMonthDay.length) {
+    summary += ` on the ${rule.byMonthDay.map(ordinal).join(", ")} day`;
+  }
+  if (rule.count) summary += `, ${rule.count} time${rule.count === 1 ? "" : "s"}`;
+  if (rule.until) summary += `, until ${describeDay(rule.until)}`;
+  return summary;
+}
+
+// ---------- Occurrences ----------
+
+// Whether `date` is an occurrence of `rule` for a series starting on `start`
+function matchesRule(rule, start, date) {
+  const s = parseDay(start);
+  const d = parseDay(date);
+  if (d < s) return false;
+
+  if (rule.freq === "DAILY") {
+    return Math.round((d - s) / DAY_MS) % rule.interval === 0;
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const monday = (day) => day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS; // weeks start on Monday
+    const weeks = Math.round((monday(d) - monday(s)) / (7 * DAY_MS));
+    const weekdays = rule.byDay.length ? rule.byDay.map((day) => day.weekday) : [s.getUTCDay()];
+    return weeks % rule.interval === 0 && weekdays.includes(d.getUTCDay());
+  }
+
+  // MONTHLY
+  const months = (d.getUTCFullYear() - s.getUTCFullYear()) * 12 + d.getUTCMonth() - s.getUTCMonth();
+  if (months % rule.interval !== 0) return false;
+
+  const dayOfMonth = d.getUTCDate();
+  const lastDay = daysInMonth(d.getUTCFullYear(), d.getUTCMonth());
+  if (rule.byDay.length) {
+    return rule.byDay.some(({ weekday, nth }) => {
+      if (weekday !== d.getUTCDay()) return false;
+      if (!nth) return true;
+      return nth > 0 ? Math.ceil(dayOfMonth / 7) === nth : Math.ceil((lastDay - dayOfMonth + 1) / 7) === -nth;
+    });
+  }
+  const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [s.getUTCDate()];
+  return monthDays.some((n) => (n > 0 ? n : lastDay + n + 1) === dayOfMonth);
+}
+
+// First date after `after` (or on it, when `inclusive`) that matches, or "" if none within reach
+function scanForOccurrence(rule, start, after, inclusive) {
+  const limit = 400 * rule.interval; // Enough days to reach any rule's next match
+  for (let i = inclusive ? 0 : 1; i <= limit; i++) {
+    const date = addDays(after, i);
+    if (rule.until && date > rule.until) return "";
+    if (matchesRule(rule, start, date)) return date;
+  }
+  return "";
+}
+
+// First occurrence on or after `date`: where a new series with this rule starts ("" if it never occurs)
+function firstOccurrence(text, date) {
+  const rule = parseRRule(text);
+  const start = date || todayISO();
+  // A rule's own day (e.g. BYDAY=FR) can differ from the date picked; the series starts on the first match
+  const probe = { ...rule, interval: 1 };
+  return scanForOccurrence(probe, start, start, true);
+}
+
+// The occurrence after the one numbered `index` on `due`, skipping any that fall before `notBefore`
+// (so a chore completed late moves to its next upcoming date).
+// Returns { due, index } or null when COUNT or UNTIL ends the series.
+function nextOccurrence({ rule: text, start, index }, due, notBefore = "") {
+  const rule = parseRRule(text);
+  let date = due;
+  let n = index;
+  do {
+    date = scanForOccurrence(rule, start, date, false);
+    n += 1;
+    if (!date || (rule.count && n > rule.count)) return null;
+  } while (date < notBefore);
+  return { due: date, index: n };
+}
@@ -0,0 +1,117 @@
+// Reminders: each task has a due date, an optional due time and a list of reminder offsets in minutes
+// before it (e.g. [1440, 15] for "1 day and 15 minutes before").
+// Every (task, due time, offset) gets a reminder id, so a reminder fires once, moving the due date arms new
+// ones, and the next occurrence of a recurring task is reminded again. The store's reminder log records
+// which ids have fired (`sent`) and which were snoozed until when (`snoozed`).
+
+const DEFAULT_DUE_TIME = "09:00"; // when a task with only a date is due
+const DEFAULT_REMINDERS = [60];
+const SNOOZE_MINUTES = 10;
+const MAX_TIMEOUT = 24 * 60 * 60 * 1000; // re-check at least daily; setTimeout can't wait much past 24 days anyway
+const OFFSET_UNITS = { d: 1440, h: 60, m: 1 };
+
+// ---------- Offsets ----------
+
+// "1d, 15m" -> [1440, 15]; "" or "none" -> []. Throws on anything else, including "0m": a reminder
+// at the due time itself would be dropped as already due.
+function parseOffsets(text) {
+  const value = String(text).trim().toLowerCase();
+  if (value === "" || value === "none") return [];
+  const minutes = value.split(/[\s,]+/).map((part) => {
+    const match = /^(\d+)([dhm])$/.exec(part);
+    if (!match) throw new Error(`Invalid reminder "${part}" (use e.g. 1d, 2h or 15m)`);
+    if (Number(match[1]) === 0) throw new Error(`Invalid reminder "${part}" (it must come before the due time)`);
+    return Number(match[1]) * OFFSET_UNITS[match[2]];
+  });
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+// [1440, 15] -> "1d, 15m"
+function formatOffsets(minutes) {
+  return minutes
+    .map((m) => {
+      const unit = Object.keys(OFFSET_UNITS).find((u) => m % OFFSET_UNITS[u] === 0);
+      return `${m / OFFSET_UNITS[unit]}${unit}`;
+    })
+    .join(", ");
+}
+
+// ---------- Times ----------
+
+// Local Date the task is due, or null without a due date
+function dueDateTime(task) {
+  if (!task.due) return null;
+  return new Date(`${task.due}T${task.dueTime || DEFAULT_DUE_TIME}`);
+}
+
+// "in 15 minutes", "tomorrow", "2 hours ago"...
+function describeWhen(date, now = Date.now()) {
+  const minutes = Math.round((date - now) / 60000);
+  const format = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+  if (Math.abs(minutes) < 60) return format.format(minutes, "minute");
+  if (Math.abs(minutes) < 1440) return format.format(Math.round(minutes / 60), "hour");
+  return format.format(Math.round(minutes / 1440), "day");
+}
+
+// ---------- Pending reminders ----------
+
+// Id of a task's reminder at `offset` minutes before its current due date and time
+function reminderId(task, offset) {
+  return `${task.id}@${task.due}T${task.dueTime || DEFAULT_DUE_TIME}-${offset}`;
+}
+
+// Reminders still to fire, soonest first: [{ id, task, offset, dueAt, fireAt }] (times in ms).
+// A reminder whose task is already due is dropped rather than fired late, unless it was snoozed.
+function pendingReminders({ tasks, reminderLog }, now = Date.now()) {
+  const pending = [];
+  tasks.forEach((task) => {
+    const dueAt = dueDateTime(task);
+    if (task.completed || !dueAt) return;
+
+    task.reminders.forEach((offset) => {
+      const id = reminderId(task, offset);
+      const snoozedUntil = reminderLog.snoozed[id];
+      if (snoozedUntil) {
+        pending.push({ id, task, offset, dueAt: dueAt.getTime(), fireAt: snoozedUntil });
+      } else if (!reminderLog.sent.includes(id) && dueAt.getTime() > now) {
+        pending.push({ id, task, offset, dueAt: dueAt.getTime(), fireAt: dueAt.getTime() - offset * 60000 });
+      }
+    });
+  });
+  return pending.sort((a, b) => a.fireAt - b.fireAt);
+}
+
+// ---------- Scheduler ----------
+
+// Keeps one timer set for the next reminder in the store and calls `notify(reminder)` when it is due.
+// Reschedules on every store change and whenever the page becomes visible again (background tabs throttle timers).
+function createReminderScheduler(store, notify) {
+  let timer = null;
+
+  function schedule() {
+    clearTimeout(timer);
+    const now = Date.now();
+    const pending = pendingReminders(store.getState(), now);
+    const due = pending.filter((reminder) => reminder.fireAt <= now);
+
+    if (due.length) {
+      store.markRemindersSent(due.map((reminder) => reminder.id)); // the store change schedules the rest
+      // Several reminders for one task can come due together (e.g. after the page was closed); announce the latest
+      const latest = new Map(due.map((reminder) => [reminder.task.id, reminder]));
+      latest.forEach((reminder) => notify(reminder));
+      return;
+    }
+    if (pending.length) timer = setTimeout(schedule, Math.min(pending[0].fireAt - now, MAX_TIMEOUT));
+  }
+
+  const unsubscribe = store.subscribe(schedule);
+  const onVisible = () => document.visibilityState === "visible" && schedule();
+  document.addEventListener("visibilitychange", onVisible);
+  schedule();
+
+  return function stop() {
+    clearTimeout(timer);
+    unsubscribe();
+    document.removeEventListener("visibilitychange", onVisible);
+  };
+}
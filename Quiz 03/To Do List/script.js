@@ -1,76 +1,174 @@
 const input = document.getElementById("todo-input");
 const dateInput = document.getElementById("todo-date");
+const timeInput = document.getElementById("todo-time");
 const categoryInput = document.getElementById("todo-category");
+const repeatInput = document.getElementById("todo-repeat");
+const remindInput = document.getElementById("todo-remind");
 const addBtn = document.getElementById("add-btn");
 const todoList = document.getElementById("todo-list");
 const themeToggle = document.getElementById("theme-toggle");
 const filterButtons = document.querySelectorAll(".filter-btn");
+const searchInput = document.getElementById("search-input");
+const categoryFilter = document.getElementById("category-filter");
+const dueFilter = document.getElementById("due-filter");
+const sortSelect = document.getElementById("sort-select");
+const smartViews = document.getElementById("smart-views");
+const toastRegion = document.getElementById("toast-region");
 
-// Load and display saved tasks
-let tasks = JSON.parse(localStorage.getItem("todos")) || [];
-displayTasks();
+// The category filter offers the same categories as the add form
+[...categoryInput.options].forEach((option) => categoryFilter.add(new Option(option.text, option.value)));
+
+// Load saved tasks and the view in the URL; every change to the store redraws the list
+const store = createTaskStore(localStorage, parseViewHash(location.hash));
+store.subscribe(render);
+render(store.getState());
 
 // Add task with validation
 addBtn.addEventListener("click", () => {
   const text = input.value.trim();
   const due = dateInput.value;
+  const dueTime = timeInput.value;
   const category = categoryInput.value;
+  const repeat = repeatInput.value.trim();
+  const remind = remindInput.value;
 
-  // Validate empty task
-  if (text === "") {
-    alert("⚠️ Task name cannot be empty!");
+  const error = validateTask({ text, due, dueTime, repeat, remind });
+  if (error) {
+    alert(error);
     return;
   }
 
-  // Validate past date
-  if (due) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // ignore time
-    const dueDate = new Date(due);
-    if (dueDate < today) {
-      alert("⚠️ You cannot select a past date!");
-      return;
-    }
-  }
-
-  const newTask = {
-    text,
-    due,
-    category,
-    completed: false,
-    createdAt: new Date().toISOString(),
-  };
-
-  tasks.push(newTask);
-  sortTasks();
-  saveAndRender();
+  const reminders = parseOffsets(remind);
+  if (due && reminders.length) requestNotificationPermission(); // must happen during a click
+  store.add({ text, due, dueTime, category, repeat, reminders });
 
   // Clear inputs
   input.value = "";
   dateInput.value = "";
+  timeInput.value = "";
+  repeatInput.value = "";
 });
 
-// Toggle completion or remove task (event delegation)
+// Toggle, remove and cancel for tasks and subtasks (event delegation)
 todoList.addEventListener("click", (e) => {
-  if (e.target.classList.contains("remove-btn")) {
-    const idx = e.target.closest("li").dataset.index;
-    tasks.splice(idx, 1);
-    saveAndRender();
+  const li = e.target.closest("li[data-id]");
+  if (!li) return;
+  const subtaskId = e.target.closest("[data-subtask-id]")?.dataset.subtaskId;
+
+  if (e.target.classList.contains("cancel-btn")) {
+    store.setEditing(null);
+  } else if (e.target.classList.contains("subtask-remove")) {
+    store.removeSubtask(li.dataset.id, subtaskId);
+  } else if (e.target.classList.contains("subtask-checkbox")) {
+    store.updateSubtask(li.dataset.id, subtaskId, { completed: e.target.checked });
+  } else if (e.target.classList.contains("remove-btn")) {
+    store.remove(li.dataset.id);
   } else if (e.target.classList.contains("checkbox")) {
-    const idx = e.target.closest("li").dataset.index;
-    tasks[idx].completed = e.target.checked;
-    sortTasks();
-    saveAndRender();
+    store.toggle(li.dataset.id, e.target.checked);
   }
 });
 
-// Filter tasks
+// Double-click a task or subtask to edit it in place
+todoList.addEventListener("dblclick", (e) => {
+  const li = e.target.closest("li[data-id]");
+  if (!li || e.target.closest("form, input, button")) return;
+  const subtask = e.target.closest("[data-subtask-id]");
+  store.setEditing(subtask ? { taskId: li.dataset.id, subtaskId: subtask.dataset.subtaskId } : { taskId: li.dataset.id });
+});
+
+// Save edits and new subtasks
+todoList.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const taskId = form.closest("li[data-id]").dataset.id;
+  const task = store.getState().tasks.find((t) => t.id === taskId);
+
+  if (form.classList.contains("edit-form")) {
+    const changes = {
+      text: form.elements.text.value.trim(),
+      due: form.elements.due.value,
+      dueTime: form.elements.dueTime.value,
+      category: form.elements.category.value,
+      notes: form.elements.notes.value.trim(),
+      repeat: form.elements.repeat.value.trim(),
+    };
+    const remind = form.elements.remind.value;
+    const error = validateTask({ ...changes, remind }, task);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const reminders = parseOffsets(remind);
+    if (changes.due && reminders.length) requestNotificationPermission(); // a submit counts as a user gesture
+    store.update(taskId, { ...changes, reminders });
+    store.setEditing(null);
+  } else if (form.classList.contains("subtask-edit-form")) {
+    const text = form.elements.text.value.trim();
+    if (text === "") {
+      alert("⚠️ Subtask name cannot be empty!");
+      return;
+    }
+    store.updateSubtask(taskId, store.getState().editing.subtaskId, { text });
+    store.setEditing(null);
+  } else if (form.classList.contains("subtask-form")) {
+    const text = form.elements.text.value.trim();
+    if (text === "") return;
+    store.addSubtask(taskId, text);
+    todoList.querySelector(`li[data-id="${taskId}"] .subtask-form input`).focus(); // ready for the next one
+  }
+});
+
+// Escape closes whatever is being edited
+todoList.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && store.getState().editing) store.setEditing(null);
+});
+
+// ---------- Views ----------
+
+// Filter and sort controls; they all combine into the store's `view`
 filterButtons.forEach((btn) => {
-  btn.addEventListener("click", () => {
-    filterButtons.forEach((b) => b.classList.remove("active"));
-    btn.classList.add("active");
-    displayTasks(btn.dataset.filter);
-  });
+  btn.addEventListener("click", () => store.setView({ status: btn.dataset.filter }));
+});
+searchInput.addEventListener("input", () => store.setView({ search: searchInput.value }));
+categoryFilter.addEventListener("change", () => store.setView({ category: categoryFilter.value }));
+dueFilter.addEventListener("change", () => store.setView({ due: dueFilter.value }));
+sortSelect.addEventListener("change", () => store.setView({ sort: sortSelect.value }));
+
+// Apply, save and delete smart views
+smartViews.addEventListener("click", (e) => {
+  const chip = e.target.closest("[data-view-id]");
+  if (e.target.classList.contains("save-view-btn")) {
+    const name = (prompt("Name this view:") || "").trim();
+    if (name) store.saveView(name);
+  } else if (chip && e.target.classList.contains("delete-view-btn")) {
+    store.deleteView(chip.dataset.viewId);
+  } else if (chip) {
+    const smart = [...BUILT_IN_VIEWS, ...store.getState().savedViews].find((v) => v.id === chip.dataset.viewId);
+    store.setView(smart.view);
+  }
+});
+
+// Keep the active view in the URL hash so it survives reloads and can be bookmarked
+store.subscribe(({ view }) => {
+  const hash = viewToHash(view);
+  if (location.hash.replace(/^#/, "") !== hash) {
+    history.replaceState(null, "", hash ? `#${hash}` : location.pathname + location.search);
+  }
+});
+window.addEventListener("hashchange", () => store.setView(parseViewHash(location.hash)));
+
+// Manual order: drag a task onto another to put it in front of it
+todoList.addEventListener("dragstart", (e) => {
+  const li = e.target.closest("li[data-id]");
+  if (li) e.dataTransfer.setData("text/plain", li.dataset.id);
+});
+todoList.addEventListener("dragover", (e) => {
+  if (store.getState().view.sort === "manual") e.preventDefault();
+});
+todoList.addEventListener("drop", (e) => {
+  e.preventDefault();
+  const target = e.target.closest("li[data-id]");
+  store.move(e.dataTransfer.getData("text/plain"), target ? target.dataset.id : undefined);
 });
 
 // Theme toggle
@@ -88,75 +186,220 @@ themeToggle.addEventListener("click", () => {
   themeToggle.textContent = savedTheme === "light" ? "🌙" : "☀️";
 })();
 
-// Display tasks
-function displayTasks(filter = "all") {
+// Escape text before it goes into innerHTML
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+// Inline form for a task's text, due date, category and notes
+function editFormHTML(task) {
+  const categories = [...categoryInput.options].map((option) => option.value);
+  return `
+    <form class="edit-form">
+      <input type="text" name="text" value="${escapeHTML(task.text)}" aria-label="Task">
+      <input type="date" name="due" value="${escapeHTML(task.due)}" aria-label="Due date">
+      <input type="time" name="dueTime" value="${escapeHTML(task.dueTime)}" aria-label="Due time">
+      <input type="text" name="remind" list="remind-presets" placeholder="Remind before (e.g. 1d, 15m)" value="${escapeHTML(formatOffsets(task.reminders))}" aria-label="Remind before">
+      <select name="category" aria-label="Category">
+        ${categories
+          .map((c) => `<option value="${escapeHTML(c)}" ${c === task.category ? "selected" : ""}>${escapeHTML(c)}</option>`)
+          .join("")}
+      </select>
+      <input type="text" name="repeat" list="repeat-presets" placeholder="Repeat (optional)" value="${escapeHTML(task.recurrence ? task.recurrence.rule : "")}" aria-label="Repeat">
+      <textarea name="notes" rows="3" placeholder="Notes..." aria-label="Notes">${escapeHTML(task.notes)}</textarea>
+      <div class="edit-actions">
+        <button type="submit" class="save-btn">Save</button>
+        <button type="button" class="cancel-btn">Cancel</button>
+      </div>
+    </form>
+  `;
+}
+
+// Subtask checklist with an inline editor for the one being edited, plus a field to add more
+function subtasksHTML(task, editing) {
+  const items = task.subtasks
+    .map((sub) =>
+      editing && editing.subtaskId === sub.id
+        ? `
+          <div class="subtask" data-subtask-id="${sub.id}">
+            <form class="subtask-edit-form">
+              <input type="text" name="text" value="${escapeHTML(sub.text)}" aria-label="Subtask">
+            </form>
+          </div>`
+        : `
+          <div class="subtask ${sub.completed ? "completed" : ""}" data-subtask-id="${sub.id}">
+            <input type="checkbox" class="subtask-checkbox" ${sub.completed ? "checked" : ""}>
+            <span>${escapeHTML(sub.text)}</span>
+            <button class="subtask-remove" aria-label="Remove subtask">&times;</button>
+          </div>`
+    )
+    .join("");
+
+  return `
+    <div class="subtasks">${items}</div>
+    <form class="subtask-form">
+      <input type="text" name="text" placeholder="+ Add subtask" aria-label="New subtask">
+    </form>
+  `;
+}
+
+// Repeat rule, position in the series and the completed occurrences
+function recurrenceHTML(task) {
+  if (!task.recurrence && !task.history.length) return "";
+  const { count } = task.recurrence ? parseRRule(task.recurrence.rule) : {};
+  const position = count ? ` · ${task.recurrence.index} of ${count}` : "";
+  const done = task.history
+    .slice()
+    .reverse()
+    .map(
+      ({ due, completedAt }) =>
+        `<div>✔ ${due ? describeDay(due) : "—"} <small>(done ${new Date(completedAt).toLocaleDateString()})</small></div>`
+    )
+    .join("");
+
+  return `
+    ${task.recurrence ? `<span class="task-repeat">🔁 ${escapeHTML(describeRRule(task.recurrence.rule))}${position}</span>` : ""}
+    ${
+      task.history.length
+        ? `<details class="task-history"><summary>${task.history.length} completed</summary>${done}</details>`
+        : ""
+    }
+  `;
+}
+
+// Read-only view of a task: text, due date, category, repeat rule, subtask progress, notes and subtasks
+function taskInfoHTML(task, editing) {
+  const { done, total } = subtaskProgress(task);
+  return `
+    <div class="task-info">
+      <span class="task-text">${escapeHTML(task.text)}</span>
+      ${
+        task.due
+          ? `<span class="task-date">📅 ${describeDay(task.due)}${task.dueTime ? ` · ${task.dueTime}` : ""}${
+              task.reminders.length ? ` · 🔔 ${formatOffsets(task.reminders)} before` : ""
+            }</span>`
+          : ""
+      }
+      <span class="task-category">${escapeHTML(task.category)}</span>
+      ${recurrenceHTML(task)}
+      ${
+        total
+          ? `<span class="task-progress">☑️ ${done}/${total}<progress value="${done}" max="${total}"></progress></span>`
+          : ""
+      }
+      ${task.notes ? `<p class="task-notes">${escapeHTML(task.notes)}</p>` : ""}
+      ${subtasksHTML(task, editing)}
+    </div>
+  `;
+}
+
+// Smart view chips, with the one matching the active view highlighted
+function smartViewsHTML(view, savedViews) {
+  const active = viewToHash(view);
+  const chip = (smart, removable) => `
+    <span class="view-chip ${viewToHash(smart.view) === active ? "active" : ""}" data-view-id="${smart.id}">
+      ${escapeHTML(smart.name)}${removable ? `<button class="delete-view-btn" aria-label="Delete view">&times;</button>` : ""}
+    </span>`;
+  return `
+    ${BUILT_IN_VIEWS.map((smart) => chip(smart, false)).join("")}
+    ${savedViews.map((smart) => chip(smart, true)).join("")}
+    <button class="save-view-btn">⭐ Save view</button>
+  `;
+}
+
+// Show the view's settings in the controls (leaving the search box alone while it already matches)
+function renderViewControls({ view, savedViews }) {
+  filterButtons.forEach((btn) => btn.classList.toggle("active", btn.dataset.filter === view.status));
+  if (searchInput.value !== view.search) searchInput.value = view.search;
+  categoryFilter.value = view.category;
+  dueFilter.value = view.due;
+  sortSelect.value = view.sort;
+  smartViews.innerHTML = smartViewsHTML(view, savedViews);
+}
+
+// Draw the list and view controls from the store's state (the only place the page is updated)
+function render(state, previous) {
+  // Only the reminder log changed (a reminder fired or was snoozed): it isn't drawn, and redrawing would close an open edit
+  if (previous && ["tasks", "view", "savedViews", "editing"].every((key) => state[key] === previous[key])) return;
+  const { tasks, view, editing } = state;
+  renderViewControls(state);
   todoList.innerHTML = "";
 
-  const filtered =
-    filter === "all"
-      ? tasks
-      : filter === "completed"
-      ? tasks.filter((t) => t.completed)
-      : tasks.filter((t) => !t.completed);
+  const shown = applyView(tasks, view);
+  if (!shown.length && tasks.length) {
+    todoList.innerHTML = `<li class="empty">No tasks match this view</li>`;
+  }
 
-  filtered.forEach((task, index) => {
+  shown.forEach((task) => {
     const li = document.createElement("li");
-    li.dataset.index = index;
+    li.dataset.id = task.id;
+    li.draggable = view.sort === "manual" && !editing;
     if (task.completed) li.classList.add("completed");
+    if (isOverdue(task)) li.classList.add("overdue");
 
+    const editingHere = editing && editing.taskId === task.id ? editing : null;
     li.innerHTML = `
       <input type="checkbox" class="checkbox" ${task.completed ? "checked" : ""}>
-      <div class="task-info">
-        <span>${task.text}</span>
-        ${
-          task.due
-            ? `<span class="task-date">📅 ${new Date(task.due).toDateString()}</span>`
-            : ""
-        }
-        <span class="task-category">${task.category}</span>
-      </div>
+      ${editingHere && !editingHere.subtaskId ? editFormHTML(task) : taskInfoHTML(task, editingHere)}
       <button class="remove-btn">&times;</button>
     `;
 
     todoList.appendChild(li);
   });
+
+  // Put the cursor in the field that was just opened for editing
+  const field = todoList.querySelector(".edit-form [name=text], .subtask-edit-form [name=text]");
+  if (field && (!previous || previous.editing !== editing)) field.focus();
 }
 
-// Sort tasks (by due date + completed last)
-function sortTasks() {
-  tasks.sort((a, b) => {
-    if (a.completed !== b.completed) return a.completed ? 1 : -1;
-    if (a.due && b.due) return new Date(a.due) - new Date(b.due);
-    return 0;
-  });
+// ---------- Reminders ----------
+
+function requestNotificationPermission() {
+  if ("Notification" in window && Notification.permission === "default") Notification.requestPermission();
 }
 
-// Save to localStorage and re-render
-function saveAndRender() {
-  localStorage.setItem("todos", JSON.stringify(tasks));
-  displayTasks(document.querySelector(".filter-btn.active").dataset.filter);
+// In-page reminder with snooze and dismiss, for when system notifications aren't allowed
+function showToast(reminder) {
+  if (toastRegion.querySelector(`[data-reminder-id="${reminder.id}"]`)) return;
+  const toast = document.createElement("div");
+  toast.className = "toast";
+  toast.dataset.reminderId = reminder.id;
+  toast.innerHTML = `
+    <span>⏰ <strong>${escapeHTML(reminder.task.text)}</strong> is due ${describeWhen(reminder.dueAt)}</span>
+    <button class="snooze-btn">Snooze ${SNOOZE_MINUTES} min</button>
+    <button class="dismiss-btn">Dismiss</button>
+  `;
+  toastRegion.appendChild(toast);
 }
 
-// Reminder notifications
-function checkReminders() {
-  if (Notification.permission !== "granted") {
-    Notification.requestPermission();
+// A system notification when permitted (clicking it brings up the snooze/dismiss toast), otherwise a toast
+function notify(reminder) {
+  if (!("Notification" in window) || Notification.permission !== "granted") {
+    showToast(reminder);
     return;
   }
-
-  const now = new Date();
-  tasks.forEach((task) => {
-    if (!task.completed && task.due) {
-      const dueDate = new Date(task.due);
-      const diff = (dueDate - now) / (1000 * 60 * 60); // hours
-      if (diff > 0 && diff < 1) {
-        new Notification("⏰ Reminder", {
-          body: `Task due soon: ${task.text}`,
-          icon: "https://cdn-icons-png.flaticon.com/512/907/907717.png",
-        });
-      }
-    }
+  const notification = new Notification("⏰ Reminder", {
+    body: `${reminder.task.text} is due ${describeWhen(reminder.dueAt)}`,
+    icon: "https://cdn-icons-png.flaticon.com/512/907/907717.png",
+    tag: reminder.id, // one notification per reminder, even with several tabs open
   });
+  notification.onclick = () => {
+    window.focus();
+    showToast(reminder);
+    notification.close();
+  };
 }
 
-setInterval(checkReminders, 60 * 60 * 1000); // check every hour
+// Snooze or dismiss a toast
+toastRegion.addEventListener("click", (e) => {
+  const toast = e.target.closest(".toast");
+  if (!toast) return;
+  if (e.target.classList.contains("snooze-btn")) {
+    store.snoozeReminder(toast.dataset.reminderId, Date.now() + SNOOZE_MINUTES * 60 * 1000);
+  } else if (!e.target.classList.contains("dismiss-btn")) {
+    return;
+  }
+  toast.remove();
+});
+
+createReminderScheduler(store, notify);
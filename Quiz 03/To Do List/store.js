@@ -0,0 +1,277 @@
+// Task store: the list's single source of truth.
+// Tasks are identified by a stable `id`, so actions keep working whatever filter or order is on screen.
+// The operations below are pure: they return a new tasks array and never change the one passed in.
+// A recurring task has `recurrence: { rule, start, index }` (see recurrence.js): its `due` is always the
+// next occurrence, number `index` of the series that began on `start`, and `history` lists the completed ones.
+// `dueTime` ("HH:MM", optional) and `reminders` (minutes before it) drive the reminder scheduler (reminders.js).
+
+const STORAGE_KEY = "todos";
+const REMINDER_LOG_KEY = "todo-reminders";
+
+// Random UUID; falls back to a time + random id where crypto.randomUUID is unavailable (plain http)
+function createId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ---------- Validation ----------
+
+// Message for the first rule a task's fields break, or "" when they are fine.
+// `previous` is the task as saved, so editing an overdue task doesn't force a new date.
+function validateTask({ text, due, dueTime = "", repeat, remind = "" }, previous = {}) {
+  // Validate empty task
+  if (text.trim() === "") return "⚠️ Task name cannot be empty!";
+
+  // Validate past date
+  if (due && due !== previous.due) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0); // ignore time
+    if (new Date(due) < today) return "⚠️ You cannot select a past date!";
+  }
+
+  // Validate past time (a task due today)
+  if (due && dueTime && (due !== previous.due || dueTime !== previous.dueTime)) {
+    if (new Date(`${due}T${dueTime}`) < new Date()) return "⚠️ You cannot select a past time!";
+  }
+
+  // Validate reminders
+  try {
+    parseOffsets(remind);
+  } catch (error) {
+    return `⚠️ ${error.message}`;
+  }
+
+  // Validate repeat rule
+  if (repeat) {
+    try {
+      if (!firstOccurrence(repeat, due)) return "⚠️ This repeat rule has no dates left!";
+    } catch (error) {
+      return `⚠️ ${error.message}`;
+    }
+  }
+  return "";
+}
+
+// ---------- Recurrence ----------
+
+// Give a task the repeat rule `rule` ("" for none); its due date moves to the rule's first date on or after it,
+// which starts a new series, so numbering begins again at 1 (past occurrences stay in `history`)
+function scheduleTask(task, rule) {
+  if (!rule) return { ...task, recurrence: null };
+  const due = firstOccurrence(rule, task.due);
+  return { ...task, due, recurrence: { rule, start: due, index: 1 } };
+}
+
+// Record the current occurrence as done and move on to the next one; the series completes when none is left
+function completeOccurrence(task) {
+  const { recurrence } = task;
+  const history = [...task.history, { due: task.due, index: recurrence.index, completedAt: new Date().toISOString() }];
+  const next = nextOccurrence(recurrence, task.due, todayISO());
+  if (!next) return { ...task, history, completed: true };
+  return {
+    ...task,
+    history,
+    due: next.due,
+    recurrence: { ...recurrence, index: next.index },
+    subtasks: task.subtasks.map((sub) => ({ ...sub, completed: false })), // a fresh checklist each time
+  };
+}
+
+// Undo the last completed occurrence
+function reopenOccurrence(task) {
+  const last = task.history[task.history.length - 1];
+  return {
+    ...task,
+    history: task.history.slice(0, -1),
+    due: last.due,
+    recurrence: { ...task.recurrence, index: last.index },
+    completed: false,
+  };
+}
+
+// ---------- Pure task operations ----------
+
+function addTask(tasks, fields) {
+  const task = {
+    id: createId(),
+    text: fields.text,
+    due: fields.due || "",
+    dueTime: fields.dueTime || "",
+    reminders: fields.reminders || DEFAULT_REMINDERS,
+    category: fields.category,
+    notes: fields.notes || "",
+    subtasks: [],
+    history: [],
+    completed: false,
+    createdAt: new Date().toISOString(),
+  };
+  return [...tasks, scheduleTask(task, fields.repeat)];
+}
+
+// `changes.repeat` sets a new repeat rule; changing the rule or the due date restarts the series from that date
+function updateTask(tasks, id, changes) {
+  return tasks.map((task) => {
+    if (task.id !== id) return task;
+    const { repeat, ...fields } = changes;
+    const currentRule = task.recurrence ? task.recurrence.rule : "";
+    const rule = repeat === undefined ? currentRule : repeat;
+    const updated = { ...task, ...fields, id };
+    return rule !== currentRule || (rule && updated.due !== task.due) ? scheduleTask(updated, rule) : updated;
+  });
+}
+
+function removeTask(tasks, id) {
+  return tasks.filter((task) => task.id !== id);
+}
+
+// Flip a task's completion, or set it when `completed` is given.
+// Completing a recurring task completes its current occurrence; un-checking a finished series reopens its last one.
+function toggleTask(tasks, id, completed) {
+  return tasks.map((task) => {
+    if (task.id !== id) return task;
+    const done = completed === undefined ? !task.completed : completed;
+    if (task.recurrence && done && !task.completed) return completeOccurrence(task);
+    if (task.recurrence && !done && task.completed && task.history.length) return reopenOccurrence(task);
+    return { ...task, completed: done };
+  });
+}
+
+// Subtasks live in their parent's `subtasks` array: [{ id, text, completed }]
+function addSubtask(tasks, taskId, text) {
+  return tasks.map((task) =>
+    task.id === taskId
+      ? { ...task, subtasks: [...task.subtasks, { id: createId(), text, completed: false }] }
+      : task
+  );
+}
+
+function updateSubtask(tasks, taskId, subtaskId, changes) {
+  return tasks.map((task) =>
+    task.id === taskId
+      ? {
+          ...task,
+          subtasks: task.subtasks.map((sub) => (sub.id === subtaskId ? { ...sub, ...changes, id: subtaskId } : sub)),
+        }
+      : task
+  );
+}
+
+function removeSubtask(tasks, taskId, subtaskId) {
+  return tasks.map((task) =>
+    task.id === taskId ? { ...task, subtasks: task.subtasks.filter((sub) => sub.id !== subtaskId) } : task
+  );
+}
+
+// { done, total } of a task's subtasks
+function subtaskProgress(task) {
+  return { done: task.subtasks.filter((sub) => sub.completed).length, total: task.subtasks.length };
+}
+
+// Move a task just before another one (to the end when `beforeId` is missing); this is the "manual" order
+function moveTask(tasks, id, beforeId) {
+  const task = tasks.find((t) => t.id === id);
+  if (!task || id === beforeId) return tasks;
+  const rest = tasks.filter((t) => t.id !== id);
+  const index = rest.findIndex((t) => t.id === beforeId);
+  return index === -1 ? [...rest, task] : [...rest.slice(0, index), task, ...rest.slice(index)];
+}
+
+// ---------- Reminder log ----------
+
+// Snoozes whose reminder still exists: its task is live and the task's due time and offsets still produce its id
+function liveSnoozes(snoozed, tasks) {
+  const current = new Set(tasks.flatMap((task) => (task.due ? task.reminders.map((offset) => reminderId(task, offset)) : [])));
+  return Object.fromEntries(Object.entries(snoozed).filter(([id]) => current.has(id)));
+}
+
+// Record reminders as fired (ending any snooze); ids of tasks that no longer exist are dropped
+function markRemindersSent(log, ids, tasks) {
+  const live = new Set(tasks.map((task) => task.id));
+  const snoozed = liveSnoozes(log.snoozed, tasks);
+  ids.forEach((id) => delete snoozed[id]);
+  const sent = [...new Set([...log.sent, ...ids])].filter((id) => live.has(id.split("@")[0]));
+  return { sent, snoozed };
+}
+
+// Fire a reminder again at `until` (ms); snoozes of deleted or rescheduled reminders are dropped
+function snoozeReminder(log, id, until, tasks) {
+  return { ...log, snoozed: { ...liveSnoozes(log.snoozed, tasks), [id]: until } };
+}
+
+// ---------- Persistence ----------
+
+// Saved tasks from older versions lack ids, notes, subtasks, recurrence and reminders; fill them in as they load
+function loadTasks(storage) {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    saved = [];
+  }
+  return saved.map((task) => ({
+    notes: "",
+    subtasks: [],
+    recurrence: null,
+    history: [],
+    dueTime: "",
+    reminders: DEFAULT_REMINDERS,
+    ...task,
+    id: task.id || createId(),
+  }));
+}
+
+function loadReminderLog(storage) {
+  try {
+    return { sent: [], snoozed: {}, ...JSON.parse(storage.getItem(REMINDER_LOG_KEY)) };
+  } catch {
+    return { sent: [], snoozed: {} };
+  }
+}
+
+// ---------- Store ----------
+
+// Holds { tasks, view, savedViews, editing, reminderLog }; every change is saved and then announced to subscribers.
+// `view` is the active filter and sort (see views.js); `editing` is what is open for inline editing:
+// { taskId } or { taskId, subtaskId }, else null.
+function createTaskStore(storage = localStorage, view = DEFAULT_VIEW) {
+  let state = {
+    tasks: loadTasks(storage),
+    view,
+    savedViews: loadSavedViews(storage),
+    editing: null,
+    reminderLog: loadReminderLog(storage),
+  };
+  const listeners = new Set();
+  storage.setItem(STORAGE_KEY, JSON.stringify(state.tasks)); // keep ids given to older tasks
+
+  function setState(changes) {
+    const previous = state;
+    state = { ...state, ...changes };
+    if (state.tasks !== previous.tasks) storage.setItem(STORAGE_KEY, JSON.stringify(state.tasks));
+    if (state.reminderLog !== previous.reminderLog) storage.setItem(REMINDER_LOG_KEY, JSON.stringify(state.reminderLog));
+    if (state.savedViews !== previous.savedViews) storage.setItem(SAVED_VIEWS_KEY, JSON.stringify(state.savedViews));
+    listeners.forEach((listener) => listener(state, previous));
+  }
+
+  return {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    add: (fields) => setState({ tasks: addTask(state.tasks, fields) }),
+    update: (id, changes) => setState({ tasks: updateTask(state.tasks, id, changes) }),
+    remove: (id) => setState({ tasks: removeTask(state.tasks, id) }),
+    toggle: (id, completed) => setState({ tasks: toggleTask(state.tasks, id, completed) }),
+    move: (id, beforeId) => setState({ tasks: moveTask(state.tasks, id, beforeId) }),
+    addSubtask: (taskId, text) => setState({ tasks: addSubtask(state.tasks, taskId, text) }),
+    updateSubtask: (taskId, subtaskId, changes) => setState({ tasks: updateSubtask(state.tasks, taskId, subtaskId, changes) }),
+    removeSubtask: (taskId, subtaskId) => setState({ tasks: removeSubtask(state.tasks, taskId, subtaskId) }),
+    setView: (changes) => setState({ view: { ...state.view, ...changes } }),
+    saveView: (name) => setState({ savedViews: saveView(state.savedViews, name, state.view) }),
+    deleteView: (id) => setState({ savedViews: deleteView(state.savedViews, id) }),
+    setEditing: (editing) => setState({ editing }),
+    markRemindersSent: (ids) => setState({ reminderLog: markRemindersSent(state.reminderLog, ids, state.tasks) }),
+    snoozeReminder: (id, until) => setState({ reminderLog: snoozeReminder(state.reminderLog, id, until, state.tasks) }),
+  };
+}
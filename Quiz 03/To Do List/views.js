@@ -0,0 +1,143 @@
+// Views: which tasks are shown and in what order.
+// A view is { status, category, due, search, sort }; every part combines with the others, e.g.
+// pending Work tasks due this week matching "report", newest first. The active view lives in the
+// URL hash (#status=pending&category=Work&due=week&q=report&sort=created) so it survives reloads and
+// can be bookmarked, and any view can be saved as a named "smart view".
+
+const DEFAULT_VIEW = { status: "all", category: "", due: "", search: "", sort: "due" };
+const SAVED_VIEWS_KEY = "todo-views";
+
+const VIEW_OPTIONS = {
+  status: ["all", "pending", "completed"],
+  due: ["", "overdue", "today", "week"],
+  sort: ["due", "created", "category", "manual"],
+};
+
+// Smart views everyone gets; saved ones are added after these
+const BUILT_IN_VIEWS = [
+  { id: "today", name: "📅 Today", view: { ...DEFAULT_VIEW, status: "pending", due: "today" } },
+  { id: "week", name: "🗓️ This week", view: { ...DEFAULT_VIEW, status: "pending", due: "week" } },
+  { id: "overdue", name: "⚠️ Overdue", view: { ...DEFAULT_VIEW, due: "overdue" } },
+];
+
+// ---------- Matching ----------
+
+// Due before today, or today at a time that has passed
+function isOverdue(task, now = new Date()) {
+  if (task.completed || !task.due) return false;
+  const today = todayISO();
+  if (task.due !== today) return task.due < today;
+  return Boolean(task.dueTime) && new Date(`${task.due}T${task.dueTime}`) < now;
+}
+
+// Whether the due date falls in the current Monday-Sunday week
+function isDueThisWeek(task) {
+  if (!task.due) return false;
+  const today = todayISO();
+  const monday = addDays(today, -((parseDay(today).getUTCDay() + 6) % 7));
+  return task.due >= monday && task.due <= addDays(monday, 6);
+}
+
+// Case-insensitive search over the text, notes, category and subtasks
+function matchesSearch(task, search) {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  return [task.text, task.notes, task.category, ...task.subtasks.map((sub) => sub.text)].some((field) =>
+    field.toLowerCase().includes(needle)
+  );
+}
+
+// status "pending": anything with work left, including a series with occurrences to come.
+// status "completed": finished tasks, plus recurring ones with completed occurrences in their history.
+function matchesView(task, view, now = new Date()) {
+  if (view.status === "completed" && !(task.completed || task.history.length > 0)) return false;
+  if (view.status === "pending" && task.completed) return false;
+  if (view.category && task.category !== view.category) return false;
+  if (view.due === "overdue" && !isOverdue(task, now)) return false;
+  if (view.due === "today" && task.due !== todayISO()) return false;
+  if (view.due === "week" && !isDueThisWeek(task)) return false;
+  return matchesSearch(task, view.search);
+}
+
+function filterTasks(tasks, view) {
+  return tasks.filter((task) => matchesView(task, view));
+}
+
+// ---------- Sorting ----------
+
+// Earlier due first, tasks without a due date last (keeping their stored order among themselves);
+// a recurring task's `due` is its next occurrence
+function compareDue(a, b) {
+  if (!a.due || !b.due) return Number(!a.due) - Number(!b.due);
+  return `${a.due}T${a.dueTime || "23:59"}`.localeCompare(`${b.due}T${b.dueTime || "23:59"}`);
+}
+
+const SORTS = {
+  due: compareDue,
+  created: (a, b) => b.createdAt.localeCompare(a.createdAt), // newest first
+  category: (a, b) => a.category.localeCompare(b.category) || compareDue(a, b),
+};
+
+// Tasks in the order `sort` asks for. Pending tasks come before completed ones, except in "manual"
+// order, which is the order the tasks are stored in (rearranged by dragging).
+function sortTasks(tasks, sort = "due") {
+  if (sort === "manual") return [...tasks];
+  const compare = SORTS[sort] || SORTS.due;
+  return [...tasks].sort((a, b) => {
+    if (a.completed !== b.completed) return a.completed ? 1 : -1;
+    return compare(a, b);
+  });
+}
+
+// The tasks a view shows, in its order
+function applyView(tasks, view) {
+  return filterTasks(sortTasks(tasks, view.sort), view);
+}
+
+// ---------- URL hash ----------
+
+// "#status=pending&q=milk" -> a complete view; unknown or invalid values fall back to the defaults
+function parseViewHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  const pick = (key, param = key) => {
+    const value = params.get(param);
+    if (value === null) return DEFAULT_VIEW[key];
+    return !VIEW_OPTIONS[key] || VIEW_OPTIONS[key].includes(value) ? value : DEFAULT_VIEW[key];
+  };
+  return {
+    status: pick("status"),
+    category: pick("category"),
+    due: pick("due"),
+    search: pick("search", "q"),
+    sort: pick("sort"),
+  };
+}
+
+// A view as a hash string without the "#"; parts left at their default are omitted
+function viewToHash(view) {
+  const params = new URLSearchParams();
+  if (view.status !== DEFAULT_VIEW.status) params.set("status", view.status);
+  if (view.category) params.set("category", view.category);
+  if (view.due) params.set("due", view.due);
+  if (view.search) params.set("q", view.search);
+  if (view.sort !== DEFAULT_VIEW.sort) params.set("sort", view.sort);
+  return params.toString();
+}
+
+// ---------- Saved views ----------
+
+function saveView(views, name, view) {
+  return [...views, { id: createId(), name, view: { ...view } }];
+}
+
+function deleteView(views, id) {
+  return views.filter((saved) => saved.id !== id);
+}
+
+function loadSavedViews(storage) {
+  try {
+    return JSON.parse(storage.getItem(SAVED_VIEWS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}